@@ -1,5 +1,17 @@
 import { describe, it, expect } from 'vitest';
-import { repairJSON, parseJSON } from '../wrapper.js';
+import {
+  RepairError,
+  repairJSON,
+  parseJSON,
+  repairJSONAsync,
+  parseJSONAsync,
+  repairMany,
+  repairAll,
+  parseAll,
+  extractJSON,
+  diagnose,
+  createRepairStream,
+} from '../wrapper.js';
 
 // ============================================================================
 // BASIC TESTS
@@ -127,7 +139,8 @@ describe('Edge Cases', () => {
     const veryDeepJson = '{"a":'.repeat(1001) + '1' + '}'.repeat(1001);
     // Use skipJsonLoads=true to avoid JavaScript's recursion limit in JSON.stringify
     const result = repairJSON(veryDeepJson, { skipJsonLoads: true });
-    expect(result).toBe('null');
+    // Only the object past the limit is dropped
+    expect(result).toBe('{"a":'.repeat(1000) + 'null' + '}'.repeat(1000));
   });
 
   it('should handle invalid numbers', () => {
@@ -298,3 +311,1686 @@ describe('Edge Cases', () => {
   });
 });
 
+
+// ============================================================================
+// REPAIR LOG TESTS
+// ============================================================================
+
+describe('Repair Logging', () => {
+  it('should return output and an empty log for valid JSON', () => {
+    expect(repairJSON('{"b": 2}', { logging: true, ensureAscii: false })).toEqual({
+      output: '{"b":2.0}',
+      repairs: [],
+    });
+  });
+
+  it('should record each fix with kind, position and text', () => {
+    const { output, repairs } = repairJSON("{'a': True, b: 1,}", { logging: true });
+    expect(JSON.parse(output)).toEqual({ a: true, b: 1 });
+    expect(repairs).toEqual([
+      { kind: 'single_quotes', offset: 1, line: 1, column: 2, before: "'a'", after: '"a"' },
+      { kind: 'python_literal', offset: 6, line: 1, column: 7, before: 'True', after: 'true' },
+      { kind: 'unquoted_key', offset: 12, line: 1, column: 13, before: 'b', after: '"b"' },
+      { kind: 'trailing_comma', offset: 16, line: 1, column: 17, before: ',', after: '' },
+    ]);
+  });
+
+  it('should record inserted commas and auto-closed brackets', () => {
+    const { repairs } = repairJSON('{"a": [1 2', { logging: true });
+    expect(repairs.map(r => [r.kind, r.after])).toEqual([
+      ['missing_comma', ','],
+      ['unclosed_array', ']'],
+      ['unclosed_object', '}'],
+    ]);
+  });
+
+  it('should report line and column across newlines', () => {
+    const { repairs } = repairJSON('{\n  "a": 1\n  b: 2\n}', { logging: true });
+    expect(repairs).toEqual([
+      { kind: 'missing_comma', offset: 13, line: 3, column: 3, before: '', after: ',' },
+      { kind: 'unquoted_key', offset: 13, line: 3, column: 3, before: 'b', after: '"b"' },
+    ]);
+  });
+
+  it('should report offsets in UTF-16 code units', () => {
+    const input = "{\"e\": \"😀\", 'k': 1}";
+    const { repairs } = repairJSON(input, { logging: true });
+    expect(repairs[0].kind).toBe('single_quotes');
+    expect(input.slice(repairs[0].offset, repairs[0].offset + 3)).toBe("'k'");
+  });
+
+  it('should log dropped content and invalid numbers', () => {
+    const { output, repairs } = repairJSON('{"a": 1e999} extra', { logging: true, returnObjects: true });
+    expect(output).toEqual({ a: null });
+    expect(repairs.map(r => r.kind)).toEqual(['invalid_number', 'trailing_content']);
+    expect(repairs[1].before).toBe('extra');
+  });
+});
+
+// ============================================================================
+// STREAMING TESTS
+// ============================================================================
+
+describe('Streaming Repair', () => {
+  const feed = (text, size = 1) => {
+    const stream = createRepairStream();
+    const snapshots = [];
+    for (let i = 0; i < text.length; i += size) {
+      snapshots.push(JSON.stringify(stream.write(text.slice(i, i + size))));
+    }
+    return { snapshots, final: stream.end() };
+  };
+
+  it('should end with the same value as parseJSON', () => {
+    const inputs = [
+      '{"a": [1, 2, {"b": "c"}], "d": true}',
+      "{'a': True, b: None, c: [1 2,,3,]}",
+      '{"text": "He said \\"hi\\" \\u00e9\\n", "n": -1.5e3',
+      '[1, "two", [3',
+    ];
+    for (const input of inputs) {
+      for (const size of [1, 3, 7]) {
+        expect(feed(input, size).final).toEqual(parseJSON(input));
+      }
+    }
+  });
+
+  it('should return a live value that updates in place', () => {
+    const stream = createRepairStream();
+    expect(stream.write('{"items": [')).toEqual({ items: [] });
+    const root = stream.write('1, 2');
+    expect(root).toEqual({ items: [1] });
+    expect(stream.write(', 3]}')).toBe(root);
+    expect(root).toEqual({ items: [1, 2, 3] });
+  });
+
+  it('should not emit keys or literals before their type is known', () => {
+    const stream = createRepairStream();
+    expect(stream.write('{')).toEqual({});
+    expect(stream.write('"done": tr')).toEqual({});
+    expect(stream.write('ue, "count": 4')).toEqual({ done: true });
+    expect(stream.end()).toEqual({ done: true, count: 4 });
+  });
+
+  it('should grow strings as they arrive', () => {
+    const stream = createRepairStream();
+    expect(stream.write('{"msg": "Hel')).toEqual({ msg: 'Hel' });
+    expect(stream.write('lo \\u00')).toEqual({ msg: 'Hello ' });
+    expect(stream.write('e9"}')).toEqual({ msg: 'Hello é' });
+  });
+
+  it('should keep emitted values stable', () => {
+    const input = '{"a": {"b": [1, "x", null, false]}, "c": "text", "d": 42}';
+    const { snapshots } = feed(input);
+    const isPrefix = (prev, next) => {
+      if (prev === undefined) return true;
+      if (typeof prev === 'string') return typeof next === 'string' && next.startsWith(prev);
+      if (prev === null || typeof prev !== 'object') return prev === next;
+      if (Array.isArray(prev) !== Array.isArray(next)) return false;
+      return Object.keys(prev).every(k => isPrefix(prev[k], next[k]));
+    };
+    for (let i = 1; i < snapshots.length; i++) {
+      const prev = snapshots[i - 1] === undefined ? undefined : JSON.parse(snapshots[i - 1]);
+      expect(isPrefix(prev, JSON.parse(snapshots[i]))).toBe(true);
+    }
+  });
+
+  it('should read a hash value at the start of a chunk as repairJSON does', () => {
+    const input = '{color: #fff, list: [1, #abc], b: 1 # note\n}';
+    for (const size of [1, 2, 8]) {
+      expect(feed(input, size).final).toEqual(parseJSON(input));
+    }
+    const stream = createRepairStream();
+    stream.write('{color: ');
+    expect(stream.write('#fff}')).toEqual({ color: '#fff' });
+  });
+
+  it('should keep the first value of a repeated key', () => {
+    const stream = createRepairStream();
+    expect(stream.write('{"a": "x", ')).toEqual({ a: 'x' });
+    const root = stream.write('"a": {"b": 1}, "a": "y');
+    expect(root).toEqual({ a: 'x' });
+    expect(stream.write('z", "c": [1]}')).toEqual({ a: 'x', c: [1] });
+    expect(stream.end()).toEqual(parseJSON('{"a": "x", "a": {"b": 1}, "a": "yz", "c": [1]}', { duplicateKeys: 'first' }));
+  });
+
+  it('should return undefined until the root is known and null for empty input', () => {
+    const stream = createRepairStream();
+    expect(stream.write('  ')).toBeUndefined();
+    expect(stream.end()).toBeNull();
+  });
+
+  it('should reject writes after end', () => {
+    const stream = createRepairStream();
+    stream.write('[1]');
+    stream.end();
+    expect(() => stream.write('[2]')).toThrow();
+    expect(() => stream.write(42)).toThrow(TypeError);
+  });
+});
+
+// ============================================================================
+// EXTRACTION TESTS
+// ============================================================================
+
+describe('JSON Extraction', () => {
+  it('should prefer a json code fence over other candidates', () => {
+    const text = 'Sure! Here is the result:\n```json\n{"a": 1, "b": [1, 2]}\n```\nSee [1] for details.';
+    const best = extractJSON(text, { returnObjects: true });
+    expect(best.output).toEqual({ a: 1, b: [1, 2] });
+    expect(best.source).toBe('fence');
+    expect(best.language).toBe('json');
+    expect(text.slice(best.start, best.end)).toBe('{"a": 1, "b": [1, 2]}');
+    expect(best.line).toBe(3);
+    expect(best.column).toBe(1);
+  });
+
+  it('should ignore JSON inside reasoning tags', () => {
+    const text = '<think>maybe {"wrong": true}</think>The answer is {"right": true, list: [1, 2]} (see [1]).';
+    expect(extractJSON(text, { returnObjects: true }).output).toEqual({ right: true, list: [1, 2] });
+  });
+
+  it('should return all candidates best first', () => {
+    const text = 'First [1] then ```jsonc\n{"x": 1}\n``` and {"y": 2}';
+    const all = extractJSON(text, { all: true, returnObjects: true });
+    expect(all.map(c => c.output)).toEqual([{ x: 1 }, { y: 2 }, [1]]);
+    for (let i = 1; i < all.length; i++) {
+      expect(all[i - 1].score).toBeGreaterThanOrEqual(all[i].score);
+    }
+  });
+
+  it('should find JSON in unterminated fences and unclosed objects', () => {
+    expect(extractJSON('```json\n{"a": [1, 2', { returnObjects: true }).output).toEqual({ a: [1, 2] });
+    expect(extractJSON('Result: {"a": {"b": 1', { returnObjects: true }).output).toEqual({ a: { b: 1 } });
+  });
+
+  it('should report repairs at offsets in the original text', () => {
+    const text = 'Here you go: {key: "value"}';
+    const { repairs } = extractJSON(text, { logging: true });
+    expect(repairs).toHaveLength(1);
+    expect(repairs[0].kind).toBe('unquoted_key');
+    expect(text.slice(repairs[0].offset, repairs[0].offset + 3)).toBe('key');
+  });
+
+  it('should return null when there is no candidate', () => {
+    expect(extractJSON('no json here')).toBeNull();
+    expect(extractJSON('no json here', { all: true })).toEqual([]);
+  });
+
+  it('should throw when there is no candidate with onError: throw', () => {
+    for (const all of [false, true]) {
+      try {
+        extractJSON('no json here', { all, onError: 'throw' });
+        expect.unreachable();
+      } catch (e) {
+        expect(e).toBeInstanceOf(RepairError);
+        expect(e.code).toBe('NO_JSON');
+      }
+    }
+    expect(extractJSON('see [1]', { onError: 'throw' }).output).toBe('[1.0]');
+  });
+
+  it('should carry repairs and comments only when asked for', () => {
+    const text = 'Here: {a: 1 /* one */}';
+    const plain = extractJSON(text);
+    expect(plain.repairs).toBeUndefined();
+    expect(plain.comments).toBeUndefined();
+    const { repairs, comments } = extractJSON(text, { logging: true, comments: true });
+    expect(repairs.map(r => r.kind)).toEqual(['unquoted_key', 'comment']);
+    expect(comments).toEqual([expect.objectContaining({ kind: 'block', text: ' one ' })]);
+  });
+
+  it('should keep braces inside single-quoted strings out of the region', () => {
+    const text = "Result: {'a': '}', 'b': ['[x']} done";
+    const best = extractJSON(text, { returnObjects: true });
+    expect(best.output).toEqual({ a: '}', b: ['[x'] });
+    expect(text.slice(best.start, best.end)).toBe("{'a': '}', 'b': ['[x']}");
+    // An apostrophe in unquoted text opens no string
+    const apostrophe = "Note: {n: 1, tag: don't} ok";
+    const found = extractJSON(apostrophe);
+    expect(apostrophe.slice(found.start, found.end)).toBe("{n: 1, tag: don't}");
+  });
+
+  it('should repair the best candidate with the extract option', () => {
+    const text = 'Sure! ```json\n{"a": 1}\n``` Let me know.';
+    expect(parseJSON(text, { extract: true })).toEqual({ a: 1 });
+    // Without extraction the prose is repaired as-is
+    expect(parseJSON(text)).not.toEqual({ a: 1 });
+    // Falls back to the whole input when nothing is found
+    expect(parseJSON('hello', { extract: true })).toBe('hello');
+  });
+});
+
+// ============================================================================
+// MULTI-DOCUMENT TESTS
+// ============================================================================
+
+describe('Multiple Documents', () => {
+  it('should parse concatenated documents with their spans', () => {
+    const input = '{"a": 1}{"b": 2}\n[3, 4]';
+    const docs = parseAll(input);
+    expect(docs.map(d => d.output)).toEqual([{ a: 1 }, { b: 2 }, [3, 4]]);
+    expect(docs.map(d => input.slice(d.start, d.end))).toEqual(['{"a": 1}', '{"b": 2}', '[3, 4]']);
+    expect(docs[2].line).toBe(2);
+    expect(docs[2].column).toBe(1);
+    expect(docs[0].repairs).toBeUndefined();
+  });
+
+  it('should treat commas and newlines as separators', () => {
+    expect(parseAll('{"id": 1}, {"id": 2},\n{"id": 3}').map(d => d.output))
+      .toEqual([{ id: 1 }, { id: 2 }, { id: 3 }]);
+    expect(parseAll('1 "two" true null').map(d => d.output)).toEqual([1, 'two', true, null]);
+  });
+
+  it('should repair each document independently', () => {
+    const input = "{a: 1,}\n{'b': [1, 2\n";
+    const docs = repairAll(input, { logging: true });
+    expect(docs.map(d => JSON.parse(d.output))).toEqual([{ a: 1 }, { b: [1, 2] }]);
+    expect(docs[0].repairs.map(r => r.kind)).toEqual(['unquoted_key', 'trailing_comma']);
+    expect(docs[1].repairs.map(r => r.kind)).toEqual(['single_quotes', 'unclosed_array', 'unclosed_object']);
+  });
+
+  it('should drop stray closing brackets between documents', () => {
+    const docs = repairAll('{"a": 1}} ]{"b": 2}', { logging: true });
+    expect(docs.map(d => JSON.parse(d.output))).toEqual([{ a: 1 }, { b: 2 }]);
+    expect(docs[0].repairs.map(r => r.kind)).toEqual(['unexpected_token', 'unexpected_token']);
+  });
+
+  it('should report UTF-16 offsets', () => {
+    const input = '"😀" {"é": 1}';
+    const docs = parseAll(input);
+    expect(input.slice(docs[1].start, docs[1].end)).toBe('{"é": 1}');
+  });
+
+  it('should return an empty array for empty input', () => {
+    expect(repairAll('')).toEqual([]);
+    expect(parseAll('  \n ')).toEqual([]);
+    expect(() => repairAll(null)).toThrow(TypeError);
+  });
+});
+
+// ============================================================================
+// COMMENT TESTS
+// ============================================================================
+
+describe('Comments', () => {
+  it('should skip line, block and hash comments', () => {
+    const input = `{
+  // connection
+  "host": "localhost", # default
+  "port": 8080, /* dev
+  only */ "debug": true
+}`;
+    expect(parseJSON(input)).toEqual({ host: 'localhost', port: 8080, debug: true });
+  });
+
+  it('should not treat comment markers inside strings as comments', () => {
+    expect(parseJSON('{"url": "http://x.com/#a", "glob": "/* */"}'))
+      .toEqual({ url: 'http://x.com/#a', glob: '/* */' });
+  });
+
+  it('should handle comments next to values and at the end of input', () => {
+    expect(parseJSON('[1,// one\n2/* two */,3#three')).toEqual([1, 2, 3]);
+    expect(parseJSON('{"a": 1 /* unterminated')).toEqual({ a: 1 });
+    expect(parseJSON('// only a comment')).toBeNull();
+  });
+
+  it('should read a hash where a value goes as the start of an unquoted string', () => {
+    expect(parseJSON('{color: #fff, b: 1}')).toEqual({ color: '#fff', b: 1 });
+    expect(parseJSON('{color:#fff}')).toEqual({ color: '#fff' });
+    expect(parseJSON('[#abc, 1]')).toEqual(['#abc', 1]);
+    expect(parseJSON('{"a": 1, # note\n"b": 2}')).toEqual({ a: 1, b: 2 });
+    expect(parseJSON('{"a": 1, #note\n"b": 2}')).toEqual({ a: 1, b: 2 });
+    expect(parseJSON('{"a": [1, #abc], #note\n"b": 2}')).toEqual({ a: [1, '#abc'], b: 2 });
+    expect(parseJSON('[\n#first\n1]')).toEqual([1]);
+  });
+
+  it('should surface stripped comments on request', () => {
+    const input = '{"a": 1, // first\r\n"b": /* second */ 2}';
+    const { output, comments } = repairJSON(input, { comments: true, returnObjects: true });
+    expect(output).toEqual({ a: 1, b: 2 });
+    expect(comments.map(c => [c.kind, c.text])).toEqual([['line', ' first'], ['block', ' second ']]);
+    expect(input.slice(comments[1].start, comments[1].end)).toBe('/* second */');
+    expect(comments[1].line).toBe(2);
+    expect(comments[1].column).toBe(6);
+  });
+
+  it('should report comments alongside repairs', () => {
+    const result = repairJSON('[1, 2] # done', { comments: true, logging: true });
+    expect(result.output).toBe('[1.0,2.0]');
+    expect(result.repairs.map(r => r.kind)).toEqual(['comment']);
+    expect(result.comments.map(c => c.text)).toEqual([' done']);
+    expect(repairJSON('{"b": 2}', { comments: true, ensureAscii: false })).toEqual({ output: '{"b":2}', comments: [] });
+  });
+
+  it('should report comments per document in repairAll', () => {
+    const docs = repairAll('{"a": 1} // one\n{"b": 2} // two', { comments: true });
+    expect(docs.map(d => d.comments.map(c => c.text))).toEqual([[' one'], [' two']]);
+  });
+
+  it('should skip comments split across stream chunks', () => {
+    const stream = createRepairStream();
+    stream.write('{"a": 1, /');
+    stream.write('/ note\n"b": 2, /* long');
+    stream.write(' comment */ "c": 3');
+    expect(stream.end()).toEqual({ a: 1, b: 2, c: 3 });
+  });
+});
+
+// ============================================================================
+// BIG NUMBER TESTS
+// ============================================================================
+
+describe('Big Numbers', () => {
+  it('should keep the digits of large integers in repaired text', () => {
+    expect(repairJSON("{'id': 9007199254740993}")).toBe('{"id":9007199254740993}');
+    expect(repairJSON('[12345678901234567890123, -9223372036854775808]', { ensureAscii: false }))
+      .toBe('[12345678901234567890123,-9223372036854775808]');
+  });
+
+  it('should return large integers as BigInt', () => {
+    const result = parseJSON("{'id': 1234567890123456789, 'nested': {'ids': [9007199254740993, 1]}}", { bigNumbers: 'bigint' });
+    expect(result.id).toBe(1234567890123456789n);
+    expect(result.nested.ids).toEqual([9007199254740993n, 1]);
+  });
+
+  it('should return large integers as exact strings', () => {
+    expect(parseJSON('{"id": 9007199254740993, "small": 9007199254740991}', { bigNumbers: 'string' }))
+      .toEqual({ id: '9007199254740993', small: 9007199254740991 });
+    expect(parseJSON('-12345678901234567890', { bigNumbers: 'string' })).toBe('-12345678901234567890');
+  });
+
+  it('should round large integers by default', () => {
+    expect(parseJSON('[9007199254740993]')).toEqual([9007199254740992]);
+    expect(parseJSON('{"x": 1.2345678901234567890}', { bigNumbers: 'bigint' })).toEqual({ x: 1.2345678901234568 });
+  });
+
+  it('should apply to parseAll and extractJSON', () => {
+    expect(parseAll('1 9007199254740993', { bigNumbers: 'bigint' }).map(d => d.output)).toEqual([1, 9007199254740993n]);
+    expect(extractJSON('id: {"id": 9007199254740993}', { returnObjects: true, bigNumbers: 'string' }).output)
+      .toEqual({ id: '9007199254740993' });
+  });
+
+  it('should reject unknown modes', () => {
+    expect(() => parseJSON('1', { bigNumbers: 'decimal' })).toThrow(TypeError);
+  });
+});
+
+// ============================================================================
+// NUMBER FORMAT TESTS
+// ============================================================================
+
+describe('Preserved Numbers', () => {
+  it('should write valid numbers exactly as in the input', () => {
+    expect(repairJSON("{'a': 1, 'b': 1e5, 'c': -0, 'd': 1.50, 'e': 2E-07}", { preserveNumbers: true }))
+      .toBe('{"a":1,"b":1e5,"c":-0,"d":1.50,"e":2E-07}');
+    expect(repairJSON('[10, 0.10]', { preserveNumbers: true, ensureAscii: false })).toBe('[10,0.10]');
+  });
+
+  it('should apply the smallest fix to invalid numbers', () => {
+    const result = repairJSON('[.5, 1., -.25, +3, 007, 1.e3]', { preserveNumbers: true, logging: true });
+    expect(result.output).toBe('[0.5,1.0,-0.25,3,7,1.0e3]');
+    expect(result.repairs.map(r => [r.before, r.after])).toEqual([
+      ['.5', '0.5'], ['1.', '1.0'], ['-.25', '-0.25'], ['+3', '3'], ['007', '7'], ['1.e3', '1.0e3'],
+    ]);
+  });
+
+  it('should keep formatting numbers with indentation and in other APIs', () => {
+    expect(repairJSON('{a: 1.0}', { preserveNumbers: true, indent: 2 })).toBe('{\n  "a": 1.0\n}');
+    expect(repairAll('1e2 3.0', { preserveNumbers: true }).map(d => d.output)).toEqual(['1e2', '3.0']);
+    expect(extractJSON('see {"n": 1E3}', { preserveNumbers: true }).output).toBe('{"n":1E3}');
+  });
+
+  it('should normalize numbers by default', () => {
+    expect(repairJSON("{'a': 1, 'b': .5}")).toBe('{"a":1.0,"b":0.5}');
+  });
+});
+
+// ============================================================================
+// SCHEMA TESTS
+// ============================================================================
+
+describe('Schema-Guided Repair', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      age: { type: 'integer', minimum: 0 },
+      active: { type: 'boolean', default: true },
+      tags: { type: 'array', items: { type: 'string' } },
+      role: { enum: ['admin', 'user'] },
+    },
+    required: ['name', 'age', 'active'],
+    additionalProperties: false,
+  };
+
+  it('should coerce strings to the declared types', () => {
+    const { output, validation } = parseJSON("{name: 'Ann', age: '30', active: 'false'}", { schema });
+    expect(output).toEqual({ name: 'Ann', age: 30, active: false });
+    expect(validation.valid).toBe(true);
+    expect(validation.fixes.map(f => [f.kind, f.path])).toEqual([['coerce', '/age'], ['coerce', '/active']]);
+  });
+
+  it('should wrap scalars where an array is expected', () => {
+    const { output } = parseJSON('{"name": "Ann", "age": 1, "tags": "x"}', { schema });
+    expect(output.tags).toEqual(['x']);
+    expect(parseJSON('5', { schema: { type: 'array', items: { type: 'string' } } }).output).toEqual(['5']);
+  });
+
+  it('should fill missing required properties from defaults', () => {
+    const { output, validation } = parseJSON('{"name": "Ann", "age": 1}', { schema });
+    expect(output).toEqual({ name: 'Ann', age: 1, active: true });
+    expect(validation.fixes).toEqual([{ kind: 'default', path: '/active', before: '', after: 'true' }]);
+  });
+
+  it('should rename near-miss property names in place', () => {
+    const { output, validation } = parseJSON('{"Name": "Ann", "age": 1, "tgas": ["a"], "is_active": true, "rol": "ADMIN"}', {
+      schema: { ...schema, properties: { ...schema.properties, isActive: { type: 'boolean' } } },
+    });
+    expect(Object.keys(output)).toEqual(['name', 'age', 'tags', 'isActive', 'role', 'active']);
+    expect(validation.fixes.filter(f => f.kind === 'rename').map(f => [f.before, f.after]))
+      .toEqual([['Name', 'name'], ['tgas', 'tags'], ['is_active', 'isActive'], ['rol', 'role']]);
+    expect(output.role).toBe('admin');
+    expect(validation.valid).toBe(true);
+  });
+
+  it('should compare repaired and coerced numbers with enum and const by value', () => {
+    const matches = (input, rules) => parseJSON(input, { schema: { type: 'object', properties: { n: rules } } }).validation.valid;
+    expect(matches('{"n": 1,}', { enum: [1, 2] })).toBe(true);
+    expect(matches('{"n": 1,}', { const: 1 })).toBe(true);
+    expect(matches('{"n": 1.5,}', { enum: [1, 2] })).toBe(false);
+    expect(matches('{"n": [1, {"m": 2}],}', { const: [1, { m: 2 }] })).toBe(true);
+    expect(matches('{n: "30"}', { type: 'integer', enum: [30] })).toBe(true);
+    expect(matches('{n: "30"}', { type: 'integer', const: 31 })).toBe(false);
+    expect(matches('{"n": 9007199254740993}', { const: 9007199254740992 })).toBe(false);
+  });
+
+  it('should report what does not match', () => {
+    const { output, validation } = repairJSON('{"name": 1, "age": -2.5, "extra": true}', { schema, ensureAscii: false });
+    expect(output).toBe('{"name":"1","age":-2.5,"extra":true,"active":true}');
+    expect(validation.valid).toBe(false);
+    expect(validation.errors.map(e => [e.path, e.keyword])).toEqual([
+      ['/age', 'type'],
+      ['/extra', 'additionalProperties'],
+    ]);
+    expect(validation.errors[0].message).toBe('must be integer');
+  });
+
+  it('should support refs, nested arrays and combinators', () => {
+    const refSchema = {
+      $defs: { point: { type: 'object', properties: { x: { type: 'number' } }, required: ['x'] } },
+      type: 'array',
+      items: { anyOf: [{ $ref: '#/$defs/point' }, { type: 'null' }] },
+    };
+    const { output, validation } = parseJSON('[{"x": "1.5"}, null, {"y": 2}]', { schema: refSchema });
+    expect(output).toEqual([{ x: 1.5 }, null, { y: 2 }]);
+    expect(validation.errors.map(e => [e.path, e.keyword])).toEqual([['/2', 'anyOf']]);
+  });
+
+  it('should parse nested JSON written as a string', () => {
+    const nested = { type: 'object', properties: { data: { type: 'object' } } };
+    expect(parseJSON('{"data": "{\\"a\\": 1}"}', { schema: nested }).output).toEqual({ data: { a: 1 } });
+  });
+
+  it('should prefer extraction candidates that match the schema', () => {
+    const text = '```json\n{"error": "retry"}\n```\nFinal: {"name": "Ann", "age": "4"}';
+    const best = extractJSON(text, { schema, returnObjects: true });
+    expect(best.output).toEqual({ name: 'Ann', age: 4, active: true });
+    expect(best.validation.valid).toBe(true);
+    expect(extractJSON(text).validation).toBeUndefined();
+  });
+
+  it('should validate each document in repairAll', () => {
+    const docs = parseAll('{"name": "a", "age": 1}\n{"name": "b"}', { schema });
+    expect(docs.map(d => d.validation.valid)).toEqual([true, false]);
+  });
+
+  it('should reject invalid schemas', () => {
+    expect(() => repairJSON('{}', { schema: 'object' })).toThrow(TypeError);
+  });
+});
+
+// ============================================================================
+// ASYNC TESTS
+// ============================================================================
+
+describe('Async Repair', () => {
+  it('should resolve to the same result as repairJSON', async () => {
+    const input = "{'a': 1, 'b': [true, None,]}";
+    await expect(repairJSONAsync(input)).resolves.toBe(repairJSON(input));
+    await expect(parseJSONAsync(input)).resolves.toEqual({ a: 1, b: [true, null] });
+  });
+
+  it('should support the reporting options', async () => {
+    const { output, repairs } = await repairJSONAsync("{'a': 'x'}", { logging: true });
+    expect(output).toBe('{"a":"x"}');
+    expect(repairs.map(r => r.kind)).toEqual(['single_quotes', 'single_quotes']);
+  });
+
+  it('should reject with the reason of an aborted signal', async () => {
+    const controller = new AbortController();
+    const reason = new Error('stop');
+    controller.abort(reason);
+    await expect(repairJSONAsync('{"a": 1}', { signal: controller.signal })).rejects.toBe(reason);
+  });
+
+  it('should reject when the timeout passes', async () => {
+    const input = '[' + '1,'.repeat(5000) + ']';
+    await expect(repairJSONAsync(input, { timeoutMs: 0 })).rejects.toThrow('Repair timed out after 0 ms');
+    await expect(parseJSONAsync(input, { timeoutMs: 60000 })).resolves.toHaveLength(5000);
+  });
+
+  it('should time out while reading one huge token', async () => {
+    const input = '{"text": "' + 'a'.repeat(8_000_000) + '", "n": 1}';
+    await expect(repairJSONAsync(input, { timeoutMs: 1 })).rejects.toThrow('Repair timed out after 1 ms');
+  });
+
+  it('should reject invalid arguments', async () => {
+    await expect(repairJSONAsync(42)).rejects.toThrow(TypeError);
+    await expect(repairJSONAsync('{}', { timeoutMs: -1 })).rejects.toThrow(TypeError);
+  });
+});
+
+// ============================================================================
+// BATCH TESTS
+// ============================================================================
+
+describe('Batch Repair', () => {
+  it('should repair every input in order', () => {
+    const inputs = ["{'a': 'x'}", '[1, 2', '', '{"b": true,}'];
+    const results = repairMany(inputs);
+    expect(results.map(r => r.status)).toEqual(['ok', 'ok', 'ok', 'ok']);
+    expect(results.map(r => r.output)).toEqual(inputs.map(input => repairJSON(input, { skipJsonLoads: true })));
+  });
+
+  it('should keep order across large batches', () => {
+    const inputs = Array.from({ length: 1000 }, (_, i) => `{id: ${i}, name: 'item ${i}'`);
+    const results = repairMany(inputs, { returnObjects: true });
+    expect(results.map(r => r.output.id)).toEqual(inputs.map((_, i) => i));
+    expect(results[999].output.name).toBe('item 999');
+  });
+
+  it('should report failures per item', () => {
+    const results = repairMany(['{"a": 1}', 42, null, '[true']);
+    expect(results.map(r => r.status)).toEqual(['ok', 'error', 'error', 'ok']);
+    expect(results[1].error).toBeInstanceOf(TypeError);
+    expect(results[3].output).toBe('[true]');
+  });
+
+  it('should attach the requested reports', () => {
+    const [result] = repairMany(["{'a': 'x'} // done"], { logging: true, comments: true });
+    expect(result.repairs.map(r => r.kind)).toContain('single_quotes');
+    expect(result.comments.map(c => c.text)).toEqual([' done']);
+    expect(repairMany(['{}'])[0]).toEqual({ status: 'ok', output: '{}' });
+  });
+
+  it('should reject a non-array argument', () => {
+    expect(() => repairMany('{}')).toThrow(TypeError);
+  });
+});
+
+// ============================================================================
+// BYTE INPUT TESTS
+// ============================================================================
+
+describe('Byte Input', () => {
+  const utf16 = (text, littleEndian) => {
+    const bytes = Buffer.from(text, 'utf16le');
+    return littleEndian ? bytes : bytes.swap16();
+  };
+
+  it('should repair UTF-8 Buffers and Uint8Arrays', () => {
+    expect(parseJSON(Buffer.from("{'name': 'Zoë'}"))).toEqual({ name: 'Zoë' });
+    expect(parseJSON(new TextEncoder().encode('[1, 2'))).toEqual([1, 2]);
+    expect(repairJSON(Buffer.alloc(0))).toBe('null');
+  });
+
+  it('should skip a byte order mark', () => {
+    const bom = Buffer.from([0xef, 0xbb, 0xbf]);
+    expect(parseJSON(Buffer.concat([bom, Buffer.from('{"a": "x"}')]))).toEqual({ a: 'x' });
+    expect(parseJSON(Buffer.concat([Buffer.from([0xff, 0xfe]), utf16('{"a": "é"}', true)]))).toEqual({ a: 'é' });
+    expect(parseJSON(Buffer.concat([Buffer.from([0xfe, 0xff]), utf16('["ü"]', false)]))).toEqual(['ü']);
+  });
+
+  it('should detect UTF-16 without a byte order mark', () => {
+    expect(parseJSON(utf16("{'a': 'x'}", true))).toEqual({ a: 'x' });
+    expect(parseJSON(utf16("{'a': 'x'}", false))).toEqual({ a: 'x' });
+  });
+
+  it('should apply the invalidUtf8 policy', () => {
+    const bytes = Buffer.from([0x5b, 0x22, 0x63, 0x61, 0x66, 0xe9, 0x22, 0x5d]); // ["caf\xe9"]
+    expect(parseJSON(bytes)).toEqual(['caf\ufffd']);
+    expect(parseJSON(bytes, { invalidUtf8: 'latin1' })).toEqual(['café']);
+    expect(parseJSON(bytes, { invalidUtf8: 'drop' })).toEqual(['caf']);
+    expect(() => parseJSON(bytes, { invalidUtf8: 'error' })).toThrow('Invalid UTF-8 at byte 5');
+    expect(() => parseJSON(bytes, { invalidUtf8: 'ignore' })).toThrow(TypeError);
+  });
+
+  it('should accept bytes in the other entry points', async () => {
+    expect(parseAll(Buffer.from('{"a": "x"}\n{"b": "y"}')).map(d => d.output)).toEqual([{ a: 'x' }, { b: 'y' }]);
+    expect(extractJSON(Buffer.from('Result: {"ok": true}'), { returnObjects: true }).output).toEqual({ ok: true });
+    expect(repairMany([Buffer.from('[true'), '[false'], { returnObjects: true }).map(r => r.output)).toEqual([[true], [false]]);
+    await expect(parseJSONAsync(Buffer.from('{"a": "x"'))).resolves.toEqual({ a: 'x' });
+  });
+});
+
+// ============================================================================
+// SOURCE MAP TESTS
+// ============================================================================
+
+describe('Source Map', () => {
+  it('should map every value to the input it was read from', () => {
+    const input = "{users: [{'email': 'a@x.io'},\n  {email: b@x.io}]}";
+    const { output, sourceMap } = repairJSON(input, { sourceMap: true });
+    expect(output).toBe('{"users":[{"email":"a@x.io"},{"email":"b@x.io"}]}');
+    expect(Object.keys(sourceMap)).toEqual(['', '/users', '/users/0', '/users/0/email', '/users/1', '/users/1/email']);
+    const { start, end, line, column } = sourceMap['/users/1/email'];
+    expect(input.slice(start, end)).toBe('b@x.io');
+    expect([line, column]).toEqual([2, 11]);
+    expect(input.slice(sourceMap[''].start, sourceMap[''].end)).toBe(input);
+  });
+
+  it('should keep the last of repeated keys and escape pointers', () => {
+    const input = '{"a/b": 1, "a/b": {"c~": true}}';
+    const { sourceMap } = parseJSON(input, { sourceMap: true });
+    expect(Object.keys(sourceMap)).toEqual(['', '/a~1b', '/a~1b/c~0']);
+    expect(input.slice(sourceMap['/a~1b'].start, sourceMap['/a~1b'].end)).toBe('{"c~": true}');
+  });
+
+  it('should follow values moved by schema fixes', () => {
+    const schema = { type: 'object', properties: { userId: { type: 'string' }, tags: { type: 'array' } } };
+    const input = '{"user_id": "u1", "tags": "x"}';
+    const { output, sourceMap } = parseJSON(input, { schema, sourceMap: true });
+    expect(output).toEqual({ userId: 'u1', tags: ['x'] });
+    expect(input.slice(sourceMap['/userId'].start, sourceMap['/userId'].end)).toBe('"u1"');
+    expect(sourceMap['/tags/0']).toEqual(sourceMap['/tags']);
+  });
+
+  it('should use offsets into the whole input', () => {
+    const text = 'Here: {"id": 7} and [1]';
+    const best = extractJSON(text, { sourceMap: true });
+    expect(text.slice(best.sourceMap['/id'].start, best.sourceMap['/id'].end)).toBe('7');
+    const docs = repairAll('{"a": 1}\n{"b": 2}', { sourceMap: true });
+    expect(docs[1].sourceMap['/b']).toEqual({ start: 15, end: 16, line: 2, column: 7 });
+    expect(repairAll('[1]')[0].sourceMap).toBeUndefined();
+  });
+
+  it('should count UTF-16 code units', () => {
+    const { sourceMap } = repairJSON('{"😀": "x", "b": 1}', { sourceMap: true, ensureAscii: false });
+    expect(sourceMap['/b']).toEqual({ start: 17, end: 18, line: 1, column: 18 });
+  });
+});
+
+// ============================================================================
+// STRICT MODE TESTS
+// ============================================================================
+
+describe('Strict Mode', () => {
+  const tooDeep = '{"a": 1,\n "b": ' + '['.repeat(1001) + '\n}';
+
+  it('should throw a RepairError with the failure position', () => {
+    let error;
+    try {
+      repairJSON(tooDeep, { onError: 'throw' });
+    } catch (e) {
+      error = e;
+    }
+    expect(error).toBeInstanceOf(RepairError);
+    expect(error.name).toBe('RepairError');
+    expect(error.code).toBe('MAX_DEPTH');
+    expect(error.line).toBe(2);
+    expect(error.message).toBe(`Maximum nesting depth exceeded at line 2, column ${error.column}`);
+    expect(tooDeep[error.offset]).toBe('[');
+    expect(error.codeFrame.split('\n')).toEqual([
+      '  1 | {"a": 1,',
+      expect.stringMatching(/^> 2 \| …\[+$/),
+      expect.stringMatching(/^ {4}\| {42}\^$/),
+      '  3 | }',
+    ]);
+  });
+
+  it('should leave repairable input alone', () => {
+    expect(parseJSON('{"a": 1', { onError: 'throw' })).toEqual({ a: 1 });
+  });
+
+  it('should throw NO_VALUE for input with no JSON value', async () => {
+    for (const input of ['', '  // note', '}', 'hello ]']) {
+      expect(() => repairJSON(input, { onError: 'throw' }), input).toThrow(
+        expect.objectContaining({ name: 'RepairError', code: 'NO_VALUE' }),
+      );
+    }
+    expect(repairJSON('}')).toBe('null');
+    expect(repairJSON('')).toBe('null');
+    expect(repairJSON('hello', { onError: 'throw' })).toBe('"hello"');
+    await expect(repairJSONAsync('', { onError: 'throw' })).rejects.toMatchObject({ code: 'NO_VALUE' });
+    const [entry] = repairMany([']'], { onError: 'throw' });
+    expect(entry.error.code).toBe('NO_VALUE');
+  });
+
+  it('should reject with a RepairError', async () => {
+    await expect(parseJSONAsync(tooDeep, { onError: 'throw' })).rejects.toBeInstanceOf(RepairError);
+  });
+
+  it('should fail only the bad item of a batch', () => {
+    const [good, bad] = repairMany(['[1', tooDeep], { returnObjects: true, onError: 'throw' });
+    expect(good).toEqual({ status: 'ok', output: [1] });
+    expect(bad.status).toBe('error');
+    expect(bad.error).toBeInstanceOf(RepairError);
+    expect(bad.error.code).toBe('MAX_DEPTH');
+  });
+
+  it('should throw for a bad document among several', () => {
+    expect(() => repairAll('{"a": 1}\n' + tooDeep, { onError: 'throw' })).toThrow(RepairError);
+  });
+
+  it('should keep an onMaxDepth that is given', () => {
+    expect(parseJSON(tooDeep, { onError: 'throw', onMaxDepth: 'null' }).a).toBe(1);
+  });
+
+  it('should reject an unknown policy', () => {
+    expect(() => repairJSON('{}', { onMaxDepth: 'ignore' })).toThrow(TypeError);
+    expect(() => repairJSON('{}', { onError: 'ignore' })).toThrow(TypeError);
+  });
+});
+
+// ============================================================================
+// MAX DEPTH TESTS
+// ============================================================================
+
+describe('Max Depth', () => {
+  it('should replace only the branch that is too deep', () => {
+    const input = '{"a": [[[1]]], "b": 2}';
+    expect(parseJSON(input, { maxDepth: 2 })).toEqual({ a: [null], b: 2 });
+    expect(parseJSON(input, { maxDepth: 4 })).toEqual({ a: [[[1]]], b: 2 });
+  });
+
+  it('should keep the rest of a document past the default limit', () => {
+    const input = '{"a": "x", "b": ' + '['.repeat(1001) + ']'.repeat(1001) + ', "c": true}';
+    const { a, b, c } = parseJSON(input);
+    expect([a, c]).toEqual(['x', true]);
+    let depth = 1;
+    for (let value = b; value[0] !== null; value = value[0]) {
+      depth++;
+    }
+    expect(depth).toBe(999);
+  });
+
+  it('should reject a maxDepth past the stack-safe limit', () => {
+    expect(repairJSON('[[1]]', { maxDepth: 4000 })).toBe('[[1.0]]');
+    expect(() => repairJSON('[]', { maxDepth: 4001 })).toThrow(TypeError);
+    expect(() => repairMany(['[]'], { maxDepth: 1e9 })).toThrow(TypeError);
+  });
+
+  it('should keep the input text with raw', () => {
+    const input = "{a: {b: {c: 'd', /* note */ e: [1,]}}, f: 1}";
+    expect(parseJSON(input, { maxDepth: 2, onMaxDepth: 'raw' })).toEqual({
+      a: { b: "{c: 'd', /* note */ e: [1,]}" },
+      f: 1,
+    });
+  });
+
+  it('should skip an unclosed subtree to the end of the input', () => {
+    expect(parseJSON('[1, [2, [3', { maxDepth: 1, onMaxDepth: 'raw' })).toEqual([1, '[2, [3']);
+  });
+
+  it('should log the replaced subtree instead of the fixes inside it', () => {
+    const { output, repairs } = repairJSON("{'a': [{'b': 1}]}", { maxDepth: 2, logging: true });
+    expect(JSON.parse(output)).toEqual({ a: [null] });
+    expect(repairs.filter(repair => repair.offset > 6)).toEqual([
+      { kind: 'max_depth', offset: 7, line: 1, column: 8, before: "{'b': 1}", after: 'null' },
+    ]);
+  });
+
+  it('should apply to valid JSON and every entry point', async () => {
+    expect(repairJSON('[[1]]', { maxDepth: 1, ensureAscii: false })).toBe('[null]');
+    expect(await parseJSONAsync('[[1]]', { maxDepth: 1 })).toEqual([null]);
+    expect(repairMany(['[[1]]'], { maxDepth: 1, returnObjects: true })[0].output).toEqual([null]);
+    expect(parseAll('[[1]] {"a": {}}', { maxDepth: 1 }).map(doc => doc.output)).toEqual([[null], { a: null }]);
+    expect(extractJSON('See [[1]]', { maxDepth: 1, returnObjects: true }).output).toEqual([null]);
+  });
+
+  it('should reject a bad limit', () => {
+    expect(() => repairJSON('[]', { maxDepth: -1 })).toThrow(TypeError);
+    expect(() => repairJSON('[]', { maxDepth: 1.5 })).toThrow(TypeError);
+  });
+});
+
+// ============================================================================
+// RESOURCE LIMIT TESTS
+// ============================================================================
+
+describe('Resource Limits', () => {
+  function failure(fn) {
+    try {
+      fn();
+    } catch (e) {
+      return e;
+    }
+    return undefined;
+  }
+
+  it('should reject input that is too long before reading it', () => {
+    // The emoji is two UTF-16 code units
+    const error = failure(() => repairJSON('{"a": "😀"}', { maxInputLength: 10 }));
+    expect(error).toBeInstanceOf(RepairError);
+    expect(error.code).toBe('MAX_INPUT_LENGTH');
+    expect(error.message).toBe('Input is longer than maxInputLength (10) at line 1, column 11');
+    expect(repairJSON('{"a": "😀"}', { maxInputLength: 11, ensureAscii: false })).toBe('{"a":"😀"}');
+  });
+
+  it('should reject a string or key that is too long', () => {
+    const error = failure(() => parseJSON('{"id": 1, "name": "abcdef"}', { maxStringLength: 5 }));
+    expect(error.code).toBe('MAX_STRING_LENGTH');
+    expect(error.offset).toBe(18);
+    expect(failure(() => parseJSON('{abcdef: 1}', { maxStringLength: 5 })).code).toBe('MAX_STRING_LENGTH');
+    expect(parseJSON('{"name": "abcde"}', { maxStringLength: 5 })).toEqual({ name: 'abcde' });
+  });
+
+  it('should reject a container with too many entries', () => {
+    expect(failure(() => parseJSON('[1, 2, 3, 4]', { maxItems: 3 })).message)
+      .toBe('Array has more than maxItems (3) entries at line 1, column 11');
+    expect(failure(() => parseJSON('{"a": [1, 2], "b": 1, "c": 2}', { maxItems: 2 })).code).toBe('MAX_ITEMS');
+    expect(parseJSON('[[1, 2], [3, 4]]', { maxItems: 2 })).toEqual([[1, 2], [3, 4]]);
+  });
+
+  it('should reject input with too many tokens', () => {
+    const error = failure(() => parseJSON('[1, 2, 3]', { maxTokens: 6 }));
+    expect(error.code).toBe('MAX_TOKENS');
+    expect(error.offset).toBe(8);
+    expect(parseJSON('[1, 2, 3]', { maxTokens: 7 })).toEqual([1, 2, 3]);
+    expect(failure(() => parseJSON('[1] [2, 3]', { maxTokens: 3 })).code).toBe('MAX_TOKENS');
+  });
+
+  it('should fail regardless of onError', () => {
+    expect(() => repairJSON('[1, 2]', { maxItems: 1, onError: 'null' })).toThrow(RepairError);
+  });
+
+  it('should apply to every entry point', async () => {
+    const limits = { maxTokens: 2 };
+    await expect(repairJSONAsync('[1, 2]', limits)).rejects.toMatchObject({ code: 'MAX_TOKENS' });
+    const [ok, bad] = repairMany(['[]', '[1, 2]'], limits);
+    expect(ok.status).toBe('ok');
+    expect(bad.error).toMatchObject({ name: 'RepairError', code: 'MAX_TOKENS' });
+    expect(() => repairAll('[] [] []', { maxTokens: 5 })).toThrow(RepairError);
+    expect(failure(() => extractJSON('Here: [1, 2, 3] and {"a": 1}', limits)).offset).toBe(8);
+    expect(failure(() => extractJSON('Here: [1]', { maxInputLength: 5 })).code).toBe('MAX_INPUT_LENGTH');
+  });
+
+  it('should reject a bad limit', () => {
+    expect(() => repairJSON('[]', { maxTokens: -1 })).toThrow(TypeError);
+    expect(() => repairJSON('[]', { maxItems: '10' })).toThrow(TypeError);
+  });
+});
+
+// ============================================================================
+// DUPLICATE KEY TESTS
+// ============================================================================
+
+describe('Duplicate Keys', () => {
+  const input = '{"a": "good", "b": 1, "a": "bad", "a": "worse"}';
+
+  it('should keep the last value by default', () => {
+    expect(parseJSON(input)).toEqual({ a: 'worse', b: 1 });
+    expect(parseJSON(input, { duplicateKeys: 'last' })).toEqual({ a: 'worse', b: 1 });
+  });
+
+  it('should keep the first value', () => {
+    expect(parseJSON(input, { duplicateKeys: 'first' })).toEqual({ a: 'good', b: 1 });
+    // Valid JSON skips the JSON.parse fast path, which keeps the last
+    expect(repairJSON(input, { duplicateKeys: 'first', ensureAscii: false })).toBe('{"a":"good","b":1.0}');
+  });
+
+  it('should collect every value', () => {
+    expect(parseJSON(input, { duplicateKeys: 'array' })).toEqual({ a: ['good', 'bad', 'worse'], b: 1 });
+    expect(parseJSON('{"a": [1], "a": [2]}', { duplicateKeys: 'array' })).toEqual({ a: [[1], [2]] });
+  });
+
+  it('should throw on a repeated key', () => {
+    let error;
+    try {
+      parseJSON(input, { duplicateKeys: 'error' });
+    } catch (e) {
+      error = e;
+    }
+    expect(error).toBeInstanceOf(RepairError);
+    expect(error.code).toBe('DUPLICATE_KEY');
+    expect(error.message).toBe('Duplicate key "a" at line 1, column 23');
+    expect(parseJSON('{"a": {"b": 1}, "b": 2}', { duplicateKeys: 'error' })).toEqual({ a: { b: 1 }, b: 2 });
+  });
+
+  it('should log each repeat', () => {
+    const { repairs } = parseJSON(input, { duplicateKeys: 'array', logging: true });
+    expect(repairs).toEqual([
+      { kind: 'duplicate_key', offset: 22, line: 1, column: 23, before: '"a": "bad"', after: '"a": ["good","bad"]' },
+      { kind: 'duplicate_key', offset: 34, line: 1, column: 35, before: '"a": "worse"', after: '"a": ["good","bad","worse"]' },
+    ]);
+    expect(parseJSON(input, { duplicateKeys: 'first', logging: true }).repairs.map(repair => repair.after))
+      .toEqual(['"a": "good"', '"a": "good"']);
+  });
+
+  it('should log repeats in valid JSON on the JSON.parse fast path too', () => {
+    const text = '{"a": 1, "a": 2}';
+    const fast = repairJSON(text, { ensureAscii: false, logging: true });
+    expect(fast).toEqual(repairJSON(text, { ensureAscii: false, logging: true, skipJsonLoads: true }));
+    expect(fast.repairs.map(repair => repair.kind)).toEqual(['duplicate_key']);
+    expect(diagnose(text).map(diagnostic => diagnostic.ruleId)).toEqual(['duplicate_key']);
+  });
+
+  it('should map the values that are kept', () => {
+    const text = '{"a": 1, "a": {"b": 2}}';
+    const first = parseJSON(text, { duplicateKeys: 'first', sourceMap: true }).sourceMap;
+    expect(Object.keys(first)).toEqual(['', '/a']);
+    expect(text.slice(first['/a'].start, first['/a'].end)).toBe('1');
+
+    const all = parseJSON(text, { duplicateKeys: 'array', sourceMap: true }).sourceMap;
+    expect(Object.keys(all)).toEqual(['', '/a', '/a/0', '/a/1', '/a/1/b']);
+    expect(text.slice(all['/a/0'].start, all['/a/0'].end)).toBe('1');
+    expect(text.slice(all['/a/1'].start, all['/a/1'].end)).toBe('{"b": 2}');
+  });
+
+  it('should apply to every entry point', async () => {
+    const options = { duplicateKeys: 'first' };
+    expect(await parseJSONAsync('{"a": 1, "a": 2}', options)).toEqual({ a: 1 });
+    expect(repairMany(['{"a": 1, "a": 2}'], { ...options, returnObjects: true })[0].output).toEqual({ a: 1 });
+    expect(parseAll('{"a": 1, "a": 2} {"a": 3}', options).map(doc => doc.output)).toEqual([{ a: 1 }, { a: 3 }]);
+    expect(extractJSON('See {"a": 1, "a": 2}', { ...options, returnObjects: true }).output).toEqual({ a: 1 });
+    expect(() => repairJSON('{}', { duplicateKeys: 'merge' })).toThrow(TypeError);
+  });
+});
+
+// ============================================================================
+// Multi-Word Bare Words
+// ============================================================================
+
+describe('Multi-Word Bare Words', () => {
+  it('should read keys up to the colon and values up to the delimiter', () => {
+    expect(parseJSON('{first name: John Smith, role: admin}')).toEqual({ 'first name': 'John Smith', role: 'admin' });
+    expect(parseJSON('[apple pie , banana split]')).toEqual(['apple pie', 'banana split']);
+  });
+
+  it('should end a value at a line break before a key', () => {
+    expect(parseJSON('{city: New York\n  zip: 10001}')).toEqual({ city: 'New York', zip: 10001 });
+    expect(parseJSON('{city: New York   \n  "zip": 10001}')).toEqual({ city: 'New York', zip: 10001 });
+    expect(parseJSON('{note: first line\n  second line}')).toEqual({ note: 'first line\n  second line' });
+  });
+
+  it('should end a value at a comment', () => {
+    expect(parseJSON('{a: hello world # greeting\n}')).toEqual({ a: 'hello world' });
+    expect(parseJSON('{a: C# code}')).toEqual({ a: 'C# code' });
+  });
+
+  it('should still read literals and numbers', () => {
+    expect(parseJSON('{ok: True, none: None, n: 42, s: true love}')).toEqual({ ok: true, none: null, n: 42, s: 'true love' });
+    expect(parseAll('true null False 1').map(doc => doc.output)).toEqual([true, null, false, 1]);
+    expect(parseJSON('[true 1, None -2]')).toEqual([true, 1, null, -2]);
+  });
+
+  it('should log the trimmed words', () => {
+    const { repairs } = repairJSON('{first name:  John Smith  }', { logging: true });
+    expect(repairs.map(({ kind, offset, before }) => [kind, offset, before])).toEqual([
+      ['unquoted_key', 1, 'first name'],
+      ['unquoted_string', 14, 'John Smith'],
+    ]);
+  });
+
+  it('should join words split across stream chunks', () => {
+    const text = '{first name: John Smith, city: New York\n age: 30}';
+    const stream = createRepairStream();
+    for (let i = 0; i < text.length; i += 3) stream.write(text.slice(i, i + 3));
+    expect(stream.end()).toEqual({ 'first name': 'John Smith', city: 'New York', age: 30 });
+  });
+});
+
+// ============================================================================
+// Unescaped Quotes
+// ============================================================================
+
+describe('Unescaped Quotes', () => {
+  it('should keep quotes followed by text inside the string', () => {
+    expect(parseJSON('{"quote": "He said "hello" to me", "n": 1}')).toEqual({ quote: 'He said "hello" to me', n: 1 });
+    expect(parseJSON('{"a": "wow "great"!"}')).toEqual({ a: 'wow "great"!' });
+    expect(parseJSON("{'msg': 'it's fine'}")).toEqual({ msg: "it's fine" });
+  });
+
+  it('should keep quotes followed by numbers, literals or more quotes inside the string', () => {
+    expect(parseJSON('{"q": "rated "5" stars", "n": 1}')).toEqual({ q: 'rated "5" stars', n: 1 });
+    expect(parseJSON('{"q": "say "true" now"}')).toEqual({ q: 'say "true" now' });
+    expect(parseJSON('{"msg": "Use "quotes""}')).toEqual({ msg: 'Use "quotes"' });
+  });
+
+  it('should close strings before a delimiter, comment or another member', () => {
+    expect(parseJSON('{"a": "b"\n"c": 1}')).toEqual({ a: 'b', c: 1 });
+    expect(parseJSON('{"a": "x" b: 1}')).toEqual({ a: 'x', b: 1 });
+    expect(parseJSON('["a" "b", 1]')).toEqual(['a', 'b', 1]);
+    expect(parseJSON('{"a": "x" // note\n}')).toEqual({ a: 'x' });
+    expect(parseJSON('{"a": "He said "hi"')).toEqual({ a: 'He said "hi' });
+  });
+
+  it('should log each inner quote', () => {
+    const { repairs } = repairJSON('{"quote": "He said "hello" to me"}', { logging: true });
+    expect(repairs).toEqual([
+      { kind: 'unescaped_quote', offset: 19, line: 1, column: 20, before: '"', after: '\\"' },
+      { kind: 'unescaped_quote', offset: 25, line: 1, column: 26, before: '"', after: '\\"' },
+    ]);
+  });
+
+  it('should wait for what follows a quote in a stream', () => {
+    const text = '{"quote": "He said "hello" to me", "n": 1}';
+    const stream = createRepairStream();
+    for (const char of text) stream.write(char);
+    expect(stream.end()).toEqual({ quote: 'He said "hello" to me', n: 1 });
+  });
+});
+
+// ============================================================================
+// JavaScript Input
+// ============================================================================
+
+describe('JavaScript Input', () => {
+  const js = { syntax: 'js' };
+
+  it('should read undefined, template strings and concatenation', () => {
+    expect(parseJSON('{a: undefined, b: `multi\nline ${x}`, c: \'a\' + "b" + `c`}', js))
+      .toEqual({ a: null, b: 'multi\nline ${x}', c: 'abc' });
+    expect(parseJSON("export const config = {retries: Infinity, name: 'fast' + `-json`};", js))
+      .toEqual({ retries: null, name: 'fast-json' });
+  });
+
+  it('should strip statements and calls around the value', () => {
+    expect(parseJSON('callback({"a": 1});', js)).toEqual({ a: 1 });
+    expect(parseJSON('const data = {a: 1};', js)).toEqual({ a: 1 });
+    expect(parseJSON('export default [1, 2]', js)).toEqual([1, 2]);
+    expect(parseJSON('module.exports = {a: 1};', js)).toEqual({ a: 1 });
+    expect(parseJSON('window.__DATA__ = "x";', js)).toBe('x');
+    expect(parseAll('var a = {x: 1};\nvar b = [2];', js).map(doc => doc.output)).toEqual([{ x: 1 }, [2]]);
+  });
+
+  it('should leave JavaScript alone without the syntax option', () => {
+    expect(parseJSON('{a: undefined, b: NaN}')).toEqual({ a: 'undefined', b: 'NaN' });
+    expect(parseJSON('{a: undefined, b: NaN}', { syntax: 'json' })).toEqual({ a: 'undefined', b: 'NaN' });
+  });
+
+  it('should replace non-finite numbers as nonFiniteNumbers says', () => {
+    const input = '[NaN, Infinity, -Infinity, +Infinity]';
+    expect(parseJSON(input, js)).toEqual([null, null, null, null]);
+    expect(parseJSON(input, { ...js, nonFiniteNumbers: 'string' })).toEqual(['NaN', 'Infinity', '-Infinity', 'Infinity']);
+    let error;
+    try {
+      parseJSON(input, { ...js, nonFiniteNumbers: 'error' });
+    } catch (e) {
+      error = e;
+    }
+    expect(error).toBeInstanceOf(RepairError);
+    expect(error.code).toBe('NON_FINITE_NUMBER');
+    expect(error.message).toBe('NaN is not a JSON number at line 1, column 2');
+  });
+
+  it('should log each JavaScript construct', () => {
+    const { repairs } = repairJSON('cb([undefined, NaN, `a` + "b"]);', { ...js, logging: true });
+    expect(repairs.map(({ kind, offset, before, after }) => [kind, offset, before, after])).toEqual([
+      ['js_wrapper', 0, 'cb(', ''],
+      ['js_literal', 4, 'undefined', 'null'],
+      ['non_finite_number', 15, 'NaN', 'null'],
+      ['template_string', 20, '`a`', '"a"'],
+      ['string_concatenation', 20, '`a` + "b"', '"ab"'],
+      ['js_wrapper', 30, ')', ''],
+      ['js_wrapper', 31, ';', ''],
+    ]);
+  });
+
+  it('should apply to every entry point', async () => {
+    expect(await parseJSONAsync('x = {a: undefined}', js)).toEqual({ a: null });
+    expect(repairMany(['x = {a: NaN}'], { ...js, returnObjects: true })[0].output).toEqual({ a: null });
+    expect(extractJSON('Data: {a: undefined}', { ...js, returnObjects: true }).output).toEqual({ a: null });
+    expect(() => repairJSON('{}', { syntax: 'yaml' })).toThrow(TypeError);
+    expect(() => repairJSON('{}', { ...js, nonFiniteNumbers: 'zero' })).toThrow(TypeError);
+  });
+});
+
+// ============================================================================
+// Python Input
+// ============================================================================
+
+describe('Python Input', () => {
+  const python = { syntax: 'python' };
+
+  it('should read tuples and sets as arrays', () => {
+    expect(parseJSON("{'point': (1, 2), 'one': (1,), 'unit': (), 'tags': {'a', 'b'}, 'empty': {}}", python))
+      .toEqual({ point: [1, 2], one: [1], unit: [], tags: ['a', 'b'], empty: {} });
+    expect(parseJSON("{'pairs': {(1, 2), (3, 4)}, 'set': {'x'}}", python)).toEqual({ pairs: [[1, 2], [3, 4]], set: ['x'] });
+  });
+
+  it('should read prefixed and triple-quoted strings', () => {
+    const input = "{'raw': r'C:\\new', 'bytes': b'\\x41\\xe9', 'u': u'hi', 'doc': '''two\n'quoted' lines''', 'dq': \"\"\"x\"\"\"}";
+    expect(parseJSON(input, python)).toEqual({ raw: 'C:\\new', bytes: 'Aé', u: 'hi', doc: "two\n'quoted' lines", dq: 'x' });
+  });
+
+  it('should read Decimal and datetime values', () => {
+    const input = "{'price': Decimal('1.50'), 'at': datetime.datetime(2024, 1, 1, 12, 30, 5, 123), " +
+      "'day': datetime.date(2024, 1, 31), 'time': datetime.time(8, 0), " +
+      "'utc': datetime.datetime(2024, 1, 1, tzinfo=datetime.timezone.utc)}";
+    expect(parseJSON(input, python)).toEqual({
+      price: 1.5,
+      at: '2024-01-01T12:30:05.000123',
+      day: '2024-01-31',
+      time: '08:00:00',
+      utc: '2024-01-01T00:00:00+00:00',
+    });
+  });
+
+  it('should match the parentheses of a call outside its strings', () => {
+    const input = "{'at': datetime.datetime(2024, 1, 2, tzinfo=tz(')')), 'b': 2}";
+    expect(parseJSON(input, python)).toEqual({ at: '2024-01-02T00:00:00', b: 2 });
+    expect(parseJSON("[Decimal(')'), 1]", python)).toEqual(["Decimal(')')", 1]);
+  });
+
+  it('should look only a short way ahead for sets and calls', () => {
+    for (const input of ['{'.repeat(20000), 'Decimal('.repeat(20000), 'a('.repeat(20000)]) {
+      expect(typeof repairJSON(input, python)).toBe('string');
+    }
+  });
+
+  it('should replace nan and inf as nonFiniteNumbers says', () => {
+    const input = "[nan, inf, -inf, float('nan'), Decimal('-Infinity')]";
+    expect(parseJSON(input, python)).toEqual([null, null, null, null, null]);
+    expect(parseJSON(input, { ...python, nonFiniteNumbers: 'string' }))
+      .toEqual(['NaN', 'Infinity', '-Infinity', 'NaN', '-Infinity']);
+  });
+
+  it('should key dicts by the text of keys that are not strings', () => {
+    expect(parseJSON("{1: 'a', (0, 1): 'b', True: 'c'}", python)).toEqual({ 1: 'a', '(0, 1)': 'b', True: 'c' });
+    const { sourceMap } = parseJSON("{(0, 1): 'b'}", { ...python, sourceMap: true });
+    expect(Object.keys(sourceMap)).toEqual(['', '/(0, 1)']);
+  });
+
+  it('should log each Python construct', () => {
+    const { repairs } = repairJSON("[(1,), {2}, b'\\x41', Decimal('2')]", { ...python, logging: true });
+    expect(repairs.map(({ kind, offset, before, after }) => [kind, offset, before, after])).toEqual([
+      ['python_tuple', 1, '(', '['],
+      ['trailing_comma', 3, ',', ''],
+      ['python_tuple', 4, ')', ']'],
+      ['python_set', 7, '{', '['],
+      ['python_set', 9, '}', ']'],
+      ['python_string', 12, "b'\\x41'", '"A"'],
+      ['invalid_escape', 14, '\\x41', 'A'],
+      ['python_call', 21, "Decimal('2')", '2'],
+    ]);
+  });
+
+  it('should log a datetime call once', () => {
+    const input = '{"at": datetime.datetime(2024, 1, 1), datetime.date(2024, 1, 2): 1}';
+    const { repairs } = repairJSON(input, { ...python, logging: true });
+    expect(repairs.map(({ kind, offset }) => [kind, offset])).toEqual([['python_call', 7], ['python_call', 38]]);
+    expect(diagnose(input, python).map(d => d.ruleId)).toEqual(['python_call', 'python_call']);
+  });
+
+  it('should leave Python alone in other syntaxes', () => {
+    expect(parseJSON("{'a': (1, 2)}")).not.toEqual({ a: [1, 2] });
+    expect(parseJSON("{'a': {1, 2}}", { syntax: 'js' })).not.toEqual({ a: [1, 2] });
+  });
+});
+
+// ============================================================================
+// JSON5
+// ============================================================================
+
+describe('JSON5', () => {
+  const json5 = { syntax: 'json5' };
+
+  it('should read JSON5 numbers', () => {
+    expect(parseJSON('[0x1F, -0xff, +0X10, +1, .5, 5., -.25]', json5)).toEqual([31, -255, 16, 1, 0.5, 5, -0.25]);
+    expect(parseJSON('[NaN, Infinity, +Infinity, -Infinity]', { ...json5, nonFiniteNumbers: 'string' }))
+      .toEqual(['NaN', 'Infinity', 'Infinity', '-Infinity']);
+    expect(parseJSON('{a: 0x1F}', { syntax: 'js' })).toEqual({ a: 31 });
+  });
+
+  it('should join lines continued with a backslash', () => {
+    expect(parseJSON("{a: 'one \\\ntwo', b: \"x\\\r\ny\", c: 'p\\\u2028q'}", json5)).toEqual({ a: 'one two', b: 'xy', c: 'pq' });
+    expect(parseJSON("{a: '\\x41'}", json5)).toEqual({ a: 'A' });
+  });
+
+  it('should read identifier keys with escapes', () => {
+    expect(parseJSON('{$_id: 1, \\u0061b: 2, ünï: 3, c\\u0064: \\u0078y}', json5)).toEqual({ $_id: 1, ab: 2, ünï: 3, cd: 'xy' });
+  });
+
+  it('should log hex numbers and line continuations', () => {
+    const { repairs } = repairJSON("[0x1F, 'a\\\nb']", { ...json5, logging: true });
+    expect(repairs.map(({ kind, offset, before, after }) => [kind, offset, before, after])).toEqual([
+      ['hex_number', 1, '0x1F', '31'],
+      ['single_quotes', 7, "'a\\\nb'", '"ab"'],
+      ['line_continuation', 9, '\\\n', ''],
+    ]);
+  });
+
+  it('should write JSON5 with outputFormat json5', () => {
+    const input = "{name: 'x', 'max-size': .5, $e: [1, {d: null}], '1a': true, ü: 2}";
+    expect(repairJSON(input, { outputFormat: 'json5', ensureAscii: false }))
+      .toBe('{name:"x","max-size":0.5,$e:[1.0,{d:null}],"1a":true,ü:2.0}');
+    expect(repairJSON(input, { outputFormat: 'json5' })).toContain('"\\u00fc":2.0');
+    expect(repairJSON('{a: [1], b: {}}', { outputFormat: 'json5', indent: 2 }))
+      .toBe('{\n  a: [\n    1.0,\n  ],\n  b: {},\n}');
+  });
+
+  it('should write JSON5 for valid JSON and leave parsed output alone', () => {
+    expect(repairJSON('{"a": "b"}', { outputFormat: 'json5', ensureAscii: false })).toBe('{a:"b"}');
+    expect(parseJSON('{a: 1}', { outputFormat: 'json5' })).toEqual({ a: 1 });
+    expect(repairAll('{a: 1} {b: 2}', { outputFormat: 'json5' }).map(({ output }) => output)).toEqual(['{a:1.0}', '{b:2.0}']);
+  });
+
+  it('should reject unknown output formats', () => {
+    expect(() => repairJSON('{}', { outputFormat: 'yaml' })).toThrow('outputFormat must be one of json, json5, got yaml');
+  });
+});
+
+// ============================================================================
+// Surrogate Pairs
+// ============================================================================
+
+describe('Surrogate Pairs', () => {
+  it('should read surrogate pair escapes as one character', () => {
+    expect(parseJSON('{"e": "\\ud83d\\ude00 \\uD834\\uDD1E"}')).toEqual({ e: '😀 𝄞' });
+    expect(parseJSON("{'e': '\\ud83d\\ude00'}")).toEqual({ e: '😀' });
+    expect(repairJSON('{"e": "\\ud83d\\ude00"}', { logging: true }).repairs).toEqual([]);
+  });
+
+  it('should write characters beyond U+FFFF in both ensureAscii modes', () => {
+    expect(repairJSON("['😀𝄞']")).toBe('["\\ud83d\\ude00\\ud834\\udd1e"]');
+    expect(repairJSON("['😀𝄞']", { ensureAscii: false })).toBe('["😀𝄞"]');
+    expect(repairJSON('["\\ud83d\\ude00"]', { ensureAscii: false, skipJsonLoads: true })).toBe('["😀"]');
+    expect(JSON.parse(repairJSON("{'😀': '\\ud83d\\ude00'}"))).toEqual({ '😀': '😀' });
+  });
+
+  it('should replace lone surrogates as loneSurrogates says', () => {
+    const input = '["a\\ud83dz", "\\ude00", "\\ud83d\\u0041"]';
+    expect(parseJSON(input)).toEqual(['a�z', '�', '�A']);
+    expect(parseJSON(input, { ensureAscii: false })).toEqual(['a�z', '�', '�A']);
+    expect(parseJSON(input, { loneSurrogates: 'escape' })).toEqual(['a\\ud83dz', '\\ude00', '\\ud83dA']);
+    expect(parseJSON(input, { loneSurrogates: 'drop' })).toEqual(['az', '', 'A']);
+  });
+
+  it('should log lone surrogates', () => {
+    const { repairs } = repairJSON('["\\ud83d\\ude00", "\\ud83d"]', { loneSurrogates: 'escape', logging: true });
+    expect(repairs.map(({ kind, offset, before, after }) => [kind, offset, before, after])).toEqual([
+      ['lone_surrogate', 18, '\\ud83d', '\\\\ud83d'],
+    ]);
+  });
+
+  it('should join surrogate pairs split across stream chunks', () => {
+    const stream = createRepairStream();
+    stream.write('["\\ud83d');
+    stream.write('\\ude');
+    expect(stream.write('00"]')).toEqual(['😀']);
+  });
+
+  it('should reject unknown lone surrogate policies', () => {
+    expect(() => repairJSON('[]', { loneSurrogates: 'keep' }))
+      .toThrow('loneSurrogates must be one of replace, escape, drop, got keep');
+  });
+});
+
+// ============================================================================
+// Output Layout
+// ============================================================================
+
+describe('Output Layout', () => {
+  // Valid JSON that takes the JSON.parse fast path with ensureAscii: false
+  const valid = '{"b": [1.5, "x"], "e": {"d": [[2.5], {}], "c": []}, "ä": 0.5}';
+
+  it('should indent with tabs', () => {
+    expect(repairJSON("{'a': [1.5]}", { indent: '\t' })).toBe('{\n\t"a": [\n\t\t1.5\n\t]\n}');
+    expect(repairJSON(valid, { indent: '\t', ensureAscii: false })).toBe(JSON.stringify(JSON.parse(valid), null, '\t'));
+  });
+
+  it('should sort keys at every depth', () => {
+    expect(repairJSON("{b: 1.5, a: {d: 0.5, c: [{z: 0.5, y: 1.5}]}, B: 2.5}", { sortKeys: true }))
+      .toBe('{"B":2.5,"a":{"c":[{"y":1.5,"z":0.5}],"d":0.5},"b":1.5}');
+    const byLength = (a, b) => b.length - a.length || (a < b ? -1 : 1);
+    expect(repairJSON("{aa: 1.5, b: {ccc: 0.5, d: 1.5}, dddd: 2.5}", { sortKeys: byLength }))
+      .toBe('{"dddd":2.5,"aa":1.5,"b":{"ccc":0.5,"d":1.5}}');
+    expect(Object.keys(parseJSON("{b: 1, a: {d: 2, c: 3}}", { sortKeys: true }))).toEqual(['a', 'b']);
+    expect(Object.keys(parseJSON("{b: 1, a: 2}", { sortKeys: (a, b) => (a < b ? 1 : -1) }))).toEqual(['b', 'a']);
+  });
+
+  it('should write custom separators', () => {
+    expect(repairJSON("{'a': [1.5, 2.5]}", { separators: [', ', ': '] })).toBe('{"a": [1.5, 2.5]}');
+    expect(repairJSON("{'a': [1.5]}", { separators: [', ', ' : '], indent: 1 }))
+      .toBe('{\n "a" : [\n  1.5\n ]\n}');
+  });
+
+  it('should keep arrays of primitives on one line', () => {
+    expect(repairJSON("{'a': [1.5, 'x', null], 'b': [[0.5], {}], 'c': []}", { indent: 2, compactArrays: true }))
+      .toBe('{\n  "a": [1.5, "x", null],\n  "b": [\n    [0.5],\n    {}\n  ],\n  "c": []\n}');
+    expect(repairJSON("[1.5, 2.5]", { compactArrays: true })).toBe('[1.5,2.5]');
+  });
+
+  it('should end output with a newline', () => {
+    expect(repairJSON("{'a': 1.5}", { trailingNewline: true })).toBe('{"a":1.5}\n');
+    expect(repairAll("{'a': 1.5} [0.5]", { trailingNewline: true }).map(({ output }) => output))
+      .toEqual(['{"a":1.5}\n', '[0.5]\n']);
+  });
+
+  it('should lay out output the same on every path', () => {
+    const layouts = [
+      { indent: '\t', compactArrays: true },
+      { sortKeys: true, indent: 2, trailingNewline: true },
+      { separators: [' ,', ' : '], indent: 4, compactArrays: true },
+      { sortKeys: true, separators: [', ', ': '] },
+    ];
+    for (const layout of layouts) {
+      const options = { ...layout, ensureAscii: false };
+      const fast = repairJSON(valid, options);
+      expect(repairJSON(valid, { ...options, skipJsonLoads: true })).toBe(fast);
+      if (layout.sortKeys) {
+        expect(repairJSON(valid, { ...options, sortKeys: (a, b) => (a < b ? -1 : a > b ? 1 : 0) })).toBe(fast);
+        expect(repairJSON(valid, { ...options, skipJsonLoads: true, sortKeys: (a, b) => (a < b ? -1 : a > b ? 1 : 0) }))
+          .toBe(fast);
+      }
+    }
+  });
+
+  it('should sort with a comparator in every entry point', () => {
+    const descending = (a, b) => (a < b ? 1 : a > b ? -1 : 0);
+    const options = { sortKeys: descending, indent: 1, trailingNewline: true };
+    const expected = '{\n "b": 0.5,\n "a": 1.5\n}\n';
+    expect(repairJSON("{a: 1.5, b: 0.5}", options)).toBe(expected);
+    expect(repairAll("{a: 1.5, b: 0.5}", options)[0].output).toBe(expected);
+    expect(repairMany(["{a: 1.5, b: 0.5}"], options)[0].output).toBe(expected);
+    expect(extractJSON("Here: {a: 1.5, b: 0.5}", options).output).toBe(expected);
+    expect(repairJSON("{a: 1.5, b: 0.5}", { ...options, outputFormat: 'json5' })).toBe('{\n b: 0.5,\n a: 1.5,\n}\n');
+  });
+
+  it('should sort with a comparator off the main thread', async () => {
+    const descending = (a, b) => (a < b ? 1 : a > b ? -1 : 0);
+    expect(await repairJSONAsync("{a: 1.5, b: 0.5}", { sortKeys: descending })).toBe('{"b":0.5,"a":1.5}');
+  });
+
+  it('should reject invalid layout options', () => {
+    expect(() => repairJSON('{}', { indent: 'x' })).toThrow('indent must be a non-negative integer or a string of spaces');
+    expect(() => repairJSON('{}', { sortKeys: 'yes' })).toThrow('sortKeys must be a boolean or a comparator function');
+    expect(() => repairJSON('{}', { separators: [';', ':'] })).toThrow('separators must be [item, key]');
+    expect(() => repairJSON('{}', { separators: [','] })).toThrow('separators must be [item, key]');
+  });
+});
+
+// ============================================================================
+// Reviver and Replacer
+// ============================================================================
+
+describe('Reviver and Replacer', () => {
+  // Valid JSON that takes the JSON.parse fast path with ensureAscii: false
+  const valid = '{"b": [1.5, {"c~/d": "x"}],\n "e": "é"}';
+
+  // Calls as [key, path, span start, line, column]
+  function recorder(calls, replace = (key, value) => value) {
+    return function (key, value, { path, span }) {
+      calls.push([key, path, ...(span ? [span.start, span.line, span.column] : [])]);
+      return replace.call(this, key, value);
+    };
+  }
+
+  it('should revive children before their holder', () => {
+    const calls = [];
+    const result = parseJSON("{'b': [1.5, {c: 'x'}]}", {
+      reviver: recorder(calls, (key, value) => (typeof value === 'number' ? value * 2 : value)),
+    });
+    expect(result).toEqual({ b: [3, { c: 'x' }] });
+    expect(calls).toEqual([
+      ['0', '/b/0', 7, 1, 8],
+      ['c', '/b/1/c', 16, 1, 17],
+      ['1', '/b/1', 12, 1, 13],
+      ['b', '/b', 6, 1, 7],
+      ['', '', 0, 1, 1],
+    ]);
+  });
+
+  it('should delete values the reviver returns undefined for', () => {
+    const result = parseJSON("{a: 1.5, b: [0.5, 2.5], c: null}", {
+      reviver: (key, value) => (value === null || value === 0.5 ? undefined : value),
+    });
+    expect(result).toEqual({ a: 1.5, b: [undefined, 2.5] });
+    expect(Object.keys(result)).toEqual(['a', 'b']);
+    expect(1 in result.b).toBe(true);
+    expect(0 in result.b).toBe(false);
+  });
+
+  it('should call the reviver with the holder as this', () => {
+    const holders = [];
+    parseJSON("{a: [1.5]}", {
+      reviver(key, value) {
+        holders.push(this);
+        return value;
+      },
+    });
+    expect(holders[0]).toEqual([1.5]);
+    expect(holders[2]).toEqual({ '': { a: [1.5] } });
+  });
+
+  it('should keep __proto__ keys a reviver returns', () => {
+    const result = parseJSON('{"__proto__": {"x": 0.5}}', { reviver: (key, value) => value });
+    expect(Object.keys(result)).toEqual(['__proto__']);
+    expect(Object.getPrototypeOf(result)).toBe(Object.prototype);
+  });
+
+  it('should replace holders before their values', () => {
+    const calls = [];
+    const output = repairJSON("{'b': [1.5, {c: 'x'}]}", {
+      replacer: recorder(calls, (key, value) => (key === 'c' ? 'y' : value)),
+    });
+    expect(output).toBe('{"b":[1.5,{"c":"y"}]}');
+    expect(calls).toEqual([
+      ['', '', 0, 1, 1],
+      ['b', '/b', 6, 1, 7],
+      ['0', '/b/0', 7, 1, 8],
+      ['1', '/b/1', 12, 1, 13],
+      ['c', '/b/1/c', 16, 1, 17],
+    ]);
+  });
+
+  it('should drop values the replacer returns undefined for', () => {
+    const drop = (key, value) => (value === 0.5 ? undefined : value);
+    expect(repairJSON("{a: 0.5, b: [0.5, 2.5]}", { replacer: drop })).toBe('{"b":[null,2.5]}');
+    expect(repairJSON("{a: 0.5}", { replacer: () => undefined })).toBe(undefined);
+  });
+
+  it('should replace inside values the replacer made', () => {
+    const calls = [];
+    const output = repairJSON("{a: 'x'}", {
+      replacer: recorder(calls, (key, value) => (key === 'a' ? { b: [1, 'x'] } : key === '1' ? 'é' : value)),
+      indent: 1,
+    });
+    expect(output).toBe('{\n "a": {\n  "b": [\n   1,\n   "\\u00e9"\n  ]\n }\n}');
+    expect(calls.slice(2)).toEqual([['b', '/a/b'], ['0', '/a/b/0'], ['1', '/a/b/1']]);
+  });
+
+  it('should keep the text of values the replacer returns unchanged', () => {
+    const options = { preserveNumbers: true, replacer: (key, value) => value };
+    expect(repairJSON("{a: 1.50, b: 'é'}", options)).toBe('{"a":1.50,"b":"\\u00e9"}');
+  });
+
+  it('should lay out replaced output', () => {
+    const replacer = (key, value) => (key === 'x' ? 0.5 : value);
+    expect(repairJSON("{x: 1, b: [2.5]}", { replacer, sortKeys: true, indent: 1, compactArrays: true }))
+      .toBe('{\n "b": [2.5],\n "x": 0.5\n}');
+    expect(repairJSON("{x: 1}", { replacer, outputFormat: 'json5', trailingNewline: true })).toBe('{x:0.5}\n');
+  });
+
+  it('should ignore the replacer for parsed output', () => {
+    expect(parseJSON("{a: 1.5}", { replacer: () => 'x' })).toEqual({ a: 1.5 });
+  });
+
+  it('should give the same calls on the fast path and the repaired path', () => {
+    for (const [option, fast] of [['reviver', true], ['replacer', false]]) {
+      const runs = [false, true].map((skipJsonLoads) => {
+        const calls = [];
+        const options = { ensureAscii: false, skipJsonLoads, [option]: recorder(calls) };
+        const output = fast ? parseJSON(valid, options) : repairJSON(valid, options);
+        return { output, calls };
+      });
+      expect(runs[0]).toEqual(runs[1]);
+      expect(runs[0].calls).toContainEqual(['c~/d', '/b/1/c~0~1d', 21, 1, 22]);
+      expect(runs[0].calls).toContainEqual(['e', '/e', 34, 2, 7]);
+    }
+  });
+
+  it('should not report a source map that was not asked for', () => {
+    const reviver = (key, value) => value;
+    expect(parseJSON("{a: 1.5}", { reviver })).toEqual({ a: 1.5 });
+    expect(parseJSON("{a: 1.5}", { reviver, sourceMap: true }).sourceMap['/a'])
+      .toEqual({ start: 4, end: 7, line: 1, column: 5 });
+    expect(repairMany(["{a: 1.5}"], { reviver, returnObjects: true })[0]).toEqual({ status: 'ok', output: { a: 1.5 } });
+  });
+
+  it('should give spans without a source map for schema defaults', () => {
+    const schema = { type: 'object', properties: { a: { type: 'number', default: 0.5 } }, required: ['a'] };
+    const calls = [];
+    parseJSON("{}", { schema, reviver: recorder(calls) });
+    expect(calls).toEqual([['a', '/a'], ['', '', 0, 1, 1]]);
+  });
+
+  it('should apply both in every entry point', async () => {
+    const reviver = (key, value, { span }) => (key ? span.start : value);
+    const replacer = (key, value, { span }) => (key ? span.line : value);
+    expect(repairMany(["{a: 1.5}"], { reviver, returnObjects: true })[0].output).toEqual({ a: 4 });
+    expect(repairMany(["{a: 1.5}"], { replacer })[0].output).toBe('{"a":1}');
+    expect(parseAll("{a: 1.5}\n{b: 2.5}", { reviver }).map(({ output }) => output)).toEqual([{ a: 4 }, { b: 13 }]);
+    expect(repairAll("{a: 1.5}\n{b: 2.5}", { replacer }).map(({ output }) => output)).toEqual(['{"a":1}', '{"b":2}']);
+    expect(extractJSON("Here: {a: 1.5}", { reviver, returnObjects: true }).output).toEqual({ a: 10 });
+    expect(extractJSON("Here:\n{a: 1.5}", { replacer }).output).toBe('{"a":2}');
+    expect(await parseJSONAsync("{a: 1.5}", { reviver })).toEqual({ a: 4 });
+    expect(await repairJSONAsync("{a: 1.5}", { replacer })).toBe('{"a":1}');
+  });
+
+  it('should reject a reviver or replacer that is not a function', () => {
+    expect(() => parseJSON('{}', { reviver: {} })).toThrow('reviver must be a function, got object');
+    expect(() => repairJSON('{}', { replacer: ['a'] })).toThrow('replacer must be a function, got object');
+  });
+});
+
+// ============================================================================
+// Diagnostics
+// ============================================================================
+
+describe('Diagnostics', () => {
+  it('should report each problem with its range', () => {
+    expect(diagnose("{'a': True, b: 1,}")).toEqual([
+      {
+        ruleId: 'single_quotes',
+        severity: 2,
+        message: 'Single-quoted string',
+        line: 1,
+        column: 2,
+        endLine: 1,
+        endColumn: 5,
+        fatal: false,
+      },
+      {
+        ruleId: 'python_literal',
+        severity: 2,
+        message: "Python literal 'True'",
+        line: 1,
+        column: 7,
+        endLine: 1,
+        endColumn: 11,
+        fatal: false,
+      },
+      {
+        ruleId: 'unquoted_key',
+        severity: 2,
+        message: "Unquoted key 'b'",
+        line: 1,
+        column: 13,
+        endLine: 1,
+        endColumn: 14,
+        fatal: false,
+      },
+      {
+        ruleId: 'trailing_comma',
+        severity: 2,
+        message: 'Trailing comma',
+        line: 1,
+        column: 17,
+        endLine: 1,
+        endColumn: 18,
+        fatal: false,
+      },
+    ]);
+  });
+
+  it('should report nothing for valid JSON', () => {
+    expect(diagnose('{"a": [1, 2.5, "x"], "b": null}')).toEqual([]);
+    expect(diagnose(new TextEncoder().encode('[true]'))).toEqual([]);
+  });
+
+  it('should give insertions an empty range', () => {
+    const diagnostics = diagnose('{"a": [1,\n 2');
+    expect(diagnostics.map(({ ruleId }) => ruleId)).toEqual(['unclosed_array', 'unclosed_object']);
+    expect(diagnostics[1]).toMatchObject({ message: 'Unclosed object', line: 2, column: 3, endLine: 2, endColumn: 3 });
+  });
+
+  it('should span lines', () => {
+    expect(diagnose("{/* a\nb */ 'x': 1}")[0]).toMatchObject({ ruleId: 'comment', line: 1, column: 2, endLine: 2, endColumn: 5 });
+  });
+
+  it('should match the repair log', () => {
+    const inputs = [
+      "{name: 'Alice', tags: [a b], 'n': 1e, x: None,,}",
+      '{"a": "x\\q", "b": [1, 2,] // done\n} trailing',
+      "[True, False, None, 'it\\'s']",
+    ];
+    for (const input of inputs) {
+      const { repairs } = repairJSON(input, { logging: true });
+      const diagnostics = diagnose(input);
+      expect(diagnostics.map(({ ruleId }) => ruleId)).toEqual(repairs.map(({ kind }) => kind));
+      expect(diagnostics.map(({ line, column }) => [line, column])).toEqual(repairs.map(({ line, column }) => [line, column]));
+    }
+  });
+
+  it('should read input as the options say', () => {
+    expect(diagnose("{a: undefined, b: `x`}", { syntax: 'js' }).map(({ ruleId }) => ruleId))
+      .toEqual(['unquoted_key', 'js_literal', 'unquoted_key', 'template_string']);
+    expect(diagnose("{a: 0x1F, b: NaN}", { syntax: 'json5' }).map(({ ruleId, message }) => [ruleId, message])).toEqual([
+      ['unquoted_key', "Unquoted key 'a'"],
+      ['hex_number', 'Hexadecimal number'],
+      ['unquoted_key', "Unquoted key 'b'"],
+      ['non_finite_number', "Non-finite number 'NaN'"],
+    ]);
+    expect(diagnose("(1, 2)", { syntax: 'python' })[0].ruleId).toBe('python_tuple');
+  });
+
+  it('should warn about valid JSON that repair changes', () => {
+    expect(diagnose('{"a": 1, "a": 2}')).toEqual([
+      {
+        ruleId: 'duplicate_key',
+        severity: 1,
+        message: 'Duplicate key',
+        line: 1,
+        column: 10,
+        endLine: 1,
+        endColumn: 16,
+        fatal: false,
+      },
+    ]);
+    expect(diagnose('["\\ud83d"]')[0]).toMatchObject({ ruleId: 'lone_surrogate', severity: 1 });
+    expect(diagnose('[[[1]]]', { maxDepth: 1 })[0]).toMatchObject({ ruleId: 'max_depth', severity: 1 });
+  });
+
+  it('should end with a fatal diagnostic when repair would fail', () => {
+    const diagnostics = diagnose("{'a': 1, 'a': 2}", { duplicateKeys: 'error' });
+    expect(diagnostics.map(({ ruleId, fatal }) => [ruleId, fatal])).toEqual([
+      ['single_quotes', false],
+      ['single_quotes', false],
+      ['duplicate_key', true],
+    ]);
+    expect(diagnostics[2]).toMatchObject({ severity: 2, line: 1, column: 10, endLine: 1, endColumn: 10 });
+    expect(diagnostics[2].message).toMatch(/^Duplicate key "a"/);
+    expect(diagnose('[[[1]]]', { maxDepth: 1, onMaxDepth: 'throw' })).toMatchObject([{ ruleId: 'max_depth', fatal: true }]);
+    expect(diagnose('[1, 2, 3]', { maxItems: 2 })).toMatchObject([{ ruleId: 'max_items', fatal: true }]);
+    expect(diagnose('[1, 2, 3]', { maxInputLength: 4 })).toMatchObject([{ ruleId: 'max_input_length', fatal: true }]);
+  });
+
+  it('should reject invalid options', () => {
+    expect(() => diagnose(42)).toThrow(TypeError);
+    expect(() => diagnose('{}', { syntax: 'yaml' })).toThrow('syntax must be one of');
+    expect(() => diagnose('{}', { duplicateKeys: 'keep' })).toThrow(TypeError);
+  });
+});
@@ -3,4 +3,155 @@
 
 /* auto-generated by NAPI-RS */
 
+export interface BatchItem {
+  ok: boolean
+  output?: string
+  repairs: Array<RepairLogEntry>
+  comments: Array<CommentEntry>
+  validation?: SchemaReport
+  sourceMap: Array<SourceSpan>
+  error?: string
+  failure?: RepairFailure
+}
+export declare function repairManyRust(jsonStrings: Array<string | Uint8Array>, options: RepairOptions): Array<BatchItem>
+export interface Diagnostic {
+  ruleId: string
+  severity: number
+  message: string
+  line: number
+  column: number
+  endLine: number
+  endColumn: number
+  fatal: boolean
+}
+export declare function diagnoseRust(input: string | Uint8Array, options: RepairOptions): Array<Diagnostic>
+export interface RepairFailure {
+  code: string
+  message: string
+  offset: number
+  line: number
+  column: number
+  codeFrame: string
+}
+export interface ExtractedJson {
+  output: string
+  start: number
+  end: number
+  line: number
+  column: number
+  source: string
+  language?: string
+  score: number
+  repairs: Array<RepairLogEntry>
+  comments: Array<CommentEntry>
+  validation?: SchemaReport
+  sourceMap: Array<SourceSpan>
+}
+export declare function extractJsonRust(text: string | Uint8Array, options: RepairOptions): Array<ExtractedJson>
+export interface RepairOptions {
+  ensureAscii?: boolean
+  indent?: number | string
+  logging?: boolean
+  comments?: boolean
+  preserveNumbers?: boolean
+  schema?: string
+  timeoutMs?: number
+  invalidUtf8?: string
+  sourceMap?: boolean
+  onError?: string
+  maxDepth?: number
+  onMaxDepth?: string
+  maxInputLength?: number
+  maxStringLength?: number
+  maxItems?: number
+  maxTokens?: number
+  duplicateKeys?: string
+  syntax?: string
+  nonFiniteNumbers?: string
+  outputFormat?: string
+  loneSurrogates?: string
+  sortKeys?: boolean
+  separators?: Array<string>
+  compactArrays?: boolean
+  trailingNewline?: boolean
+}
+export interface RepairLogEntry {
+  kind: string
+  offset: number
+  line: number
+  column: number
+  before: string
+  after: string
+}
+export interface CommentEntry {
+  kind: string
+  text: string
+  start: number
+  end: number
+  line: number
+  column: number
+}
+export interface SourceSpan {
+  path: string
+  start: number
+  end: number
+  line: number
+  column: number
+}
+export interface RepairOutput {
+  output: string
+  repairs: Array<RepairLogEntry>
+  comments: Array<CommentEntry>
+  validation?: SchemaReport
+  sourceMap: Array<SourceSpan>
+}
+export interface RepairedDocument {
+  output: string
+  start: number
+  end: number
+  line: number
+  column: number
+  repairs: Array<RepairLogEntry>
+  comments: Array<CommentEntry>
+  validation?: SchemaReport
+  sourceMap: Array<SourceSpan>
+}
+export interface BigInteger {
+  path: Array<string>
+  digits: string
+}
 export declare function repairJsonRust(jsonString: string, ensureAscii: boolean, indent: number): string
+export declare function repairJsonWithOptions(jsonString: string | Uint8Array, options: RepairOptions): RepairOutput
+export declare function repairAllRust(jsonString: string | Uint8Array, options: RepairOptions): Array<RepairedDocument>
+export declare function bigIntegersRust(jsonString: string): Array<BigInteger>
+export interface SchemaError {
+  path: string
+  keyword: string
+  message: string
+}
+export interface SchemaFix {
+  kind: string
+  path: string
+  before: string
+  after: string
+}
+export interface SchemaReport {
+  valid: boolean
+  errors: Array<SchemaError>
+  fixes: Array<SchemaFix>
+}
+export interface StreamEvent {
+  kind: string
+  key?: string
+  value?: string
+}
+export declare class RepairStream {
+  constructor()
+  write(chunk: string): Array<StreamEvent>
+  end(): Array<StreamEvent>
+}
+export declare function repairJsonAsync(jsonString: string | Uint8Array, options: RepairOptions, token: CancelToken): Promise<RepairOutput>
+export declare class CancelToken {
+  constructor()
+  cancel(): void
+}
@@ -310,6 +310,15 @@ if (!nativeBinding) {
   throw new Error(`Failed to load native binding`)
 }
 
-const { repairJsonRust } = nativeBinding
+const { repairManyRust, diagnoseRust, extractJsonRust, repairJsonRust, repairJsonWithOptions, repairAllRust, bigIntegersRust, RepairStream, repairJsonAsync, CancelToken } = nativeBinding
 
+module.exports.repairManyRust = repairManyRust
+module.exports.diagnoseRust = diagnoseRust
+module.exports.extractJsonRust = extractJsonRust
 module.exports.repairJsonRust = repairJsonRust
+module.exports.repairJsonWithOptions = repairJsonWithOptions
+module.exports.repairAllRust = repairAllRust
+module.exports.bigIntegersRust = bigIntegersRust
+module.exports.RepairStream = RepairStream
+module.exports.repairJsonAsync = repairJsonAsync
+module.exports.CancelToken = CancelToken
@@ -0,0 +1,148 @@
+use std::any::Any;
+use std::panic::{self, AssertUnwindSafe};
+use std::thread;
+
+use napi::bindgen_prelude::*;
+use napi_derive::napi;
+
+use crate::decode;
+use crate::error::RepairFailure;
+use crate::schema::{self, SchemaReport};
+use crate::{
+    repair_with_options, CommentEntry, RepairLogEntry, RepairOptions, RepairOutput, SourceSpan,
+};
+
+// Below this many inputs per thread, spawning costs more than it saves
+const MIN_ITEMS_PER_THREAD: usize = 64;
+// Room for input nested as deeply as maxDepth allows, as on the main thread
+const THREAD_STACK_SIZE: usize = 8 << 20;
+
+#[napi(object)]
+pub struct BatchItem {
+    pub ok: bool,
+    pub output: Option<String>,
+    pub repairs: Vec<RepairLogEntry>,
+    pub comments: Vec<CommentEntry>,
+    pub validation: Option<SchemaReport>,
+    pub source_map: Vec<SourceSpan>,
+    pub error: Option<String>,
+    // Set instead of `error` when the input could not be repaired
+    pub failure: Option<RepairFailure>,
+}
+
+impl BatchItem {
+    fn failed(error: Option<String>, failure: Option<RepairFailure>) -> Self {
+        BatchItem {
+            ok: false,
+            output: None,
+            repairs: Vec::new(),
+            comments: Vec::new(),
+            validation: None,
+            source_map: Vec::new(),
+            error,
+            failure,
+        }
+    }
+}
+
+// The error for inputs whose repair panicked, which fail on their own
+// instead of failing the whole batch
+fn panic_error(payload: Box<dyn Any + Send>) -> String {
+    let reason = payload
+        .downcast_ref::<&str>()
+        .map(|s| s.to_string())
+        .or_else(|| payload.downcast_ref::<String>().cloned())
+        .unwrap_or_else(|| "unknown panic".to_string());
+    format!("Repair panicked: {}", reason)
+}
+
+impl From<Result<std::result::Result<RepairOutput, RepairFailure>>> for BatchItem {
+    fn from(result: Result<std::result::Result<RepairOutput, RepairFailure>>) -> Self {
+        match result {
+            Ok(Ok(RepairOutput {
+                output,
+                repairs,
+                comments,
+                validation,
+                source_map,
+            })) => BatchItem {
+                ok: true,
+                output: Some(output),
+                repairs,
+                comments,
+                validation,
+                source_map,
+                error: None,
+                failure: None,
+            },
+            Ok(Err(failure)) => BatchItem::failed(None, Some(failure)),
+            Err(error) => BatchItem::failed(Some(error.reason), None),
+        }
+    }
+}
+
+// Repair each input with the same options, splitting the inputs into
+// contiguous runs across threads. Results keep input order.
+#[napi]
+pub fn repair_many_rust(
+    json_strings: Vec<Either<String, Uint8Array>>,
+    options: RepairOptions,
+) -> Result<Vec<BatchItem>> {
+    let schema = options
+        .schema
+        .as_deref()
+        .map(schema::parse_schema)
+        .transpose()?;
+    // Bytes can only be read on the main thread; a bad encoding fails its own item
+    let json_strings: Vec<Result<String>> = json_strings
+        .into_iter()
+        .map(|json_string| decode::input_text(json_string, &options))
+        .collect();
+    let repair = |json_string: &Result<String>| {
+        panic::catch_unwind(AssertUnwindSafe(|| {
+            BatchItem::from(match json_string {
+                Ok(json_string) => {
+                    repair_with_options(json_string, &options, schema.as_ref(), None)
+                }
+                Err(error) => Err(Error::new(error.status, error.reason.clone())),
+            })
+        }))
+        .unwrap_or_else(|payload| BatchItem::failed(Some(panic_error(payload)), None))
+    };
+
+    let cores = thread::available_parallelism()
+        .map(|n| n.get())
+        .unwrap_or(1);
+    let threads = cores.min(json_strings.len() / MIN_ITEMS_PER_THREAD).max(1);
+    if threads == 1 {
+        return Ok(json_strings.iter().map(repair).collect());
+    }
+
+    let run = json_strings.len().div_ceil(threads);
+    let results = thread::scope(|scope| {
+        let handles: Vec<_> = json_strings
+            .chunks(run)
+            .map(|chunk| {
+                let handle = thread::Builder::new()
+                    .stack_size(THREAD_STACK_SIZE)
+                    .spawn_scoped(scope, move || chunk.iter().map(repair).collect::<Vec<_>>())
+                    .expect("failed to spawn thread");
+                (chunk.len(), handle)
+            })
+            .collect();
+        // Items catch their own panics, so a thread only fails outside them;
+        // then its whole run fails
+        handles
+            .into_iter()
+            .flat_map(|(len, handle)| {
+                handle.join().unwrap_or_else(|payload| {
+                    let error = panic_error(payload);
+                    (0..len)
+                        .map(|_| BatchItem::failed(Some(error.clone()), None))
+                        .collect()
+                })
+            })
+            .collect()
+    });
+    Ok(results)
+}
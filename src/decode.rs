@@ -0,0 +1,158 @@
+use napi::bindgen_prelude::*;
+
+use crate::RepairOptions;
+
+// Values of RepairOptions::invalid_utf8
+const POLICIES: [&str; 4] = ["replace", "latin1", "drop", "error"];
+
+#[derive(Clone, Copy, PartialEq)]
+enum Encoding {
+    Utf8,
+    Utf16Le,
+    Utf16Be,
+}
+
+impl Encoding {
+    fn name(self) -> &'static str {
+        match self {
+            Encoding::Utf8 => "UTF-8",
+            Encoding::Utf16Le => "UTF-16LE",
+            Encoding::Utf16Be => "UTF-16BE",
+        }
+    }
+}
+
+// Input as text, decoding bytes as detect_encoding says
+pub(crate) fn input_text(
+    input: Either<String, Uint8Array>,
+    options: &RepairOptions,
+) -> Result<String> {
+    match input {
+        Either::A(text) => Ok(text),
+        Either::B(bytes) => {
+            decode_bytes(&bytes, options.invalid_utf8.as_deref().unwrap_or("replace"))
+        }
+    }
+}
+
+fn decode_bytes(bytes: &[u8], policy: &str) -> Result<String> {
+    if !POLICIES.contains(&policy) {
+        return Err(Error::new(
+            Status::InvalidArg,
+            format!(
+                "invalidUtf8 must be one of {}, got {}",
+                POLICIES.join(", "),
+                policy
+            ),
+        ));
+    }
+
+    let (encoding, bom) = detect_encoding(bytes);
+    let bytes = &bytes[bom..];
+    let mut text = String::with_capacity(bytes.len());
+    // Byte offset in the input of what is decoded next, for error messages
+    let mut offset = bom;
+
+    if encoding == Encoding::Utf8 {
+        let mut rest = bytes;
+        loop {
+            match std::str::from_utf8(rest) {
+                Ok(valid) => {
+                    text.push_str(valid);
+                    return Ok(text);
+                }
+                Err(error) => {
+                    let (valid, invalid) = rest.split_at(error.valid_up_to());
+                    text.push_str(std::str::from_utf8(valid).unwrap_or_default());
+                    offset += valid.len();
+                    // A sequence cut off by the end of the input has no error_len
+                    let length = error.error_len().unwrap_or(invalid.len());
+                    match policy {
+                        "replace" => text.push(char::REPLACEMENT_CHARACTER),
+                        "latin1" => text.extend(invalid[..length].iter().map(|&b| b as char)),
+                        "drop" => {}
+                        _ => return Err(invalid_input(encoding, offset)),
+                    }
+                    offset += length;
+                    rest = &invalid[length..];
+                }
+            }
+        }
+    }
+
+    let units = bytes.chunks_exact(2).map(|pair| match encoding {
+        Encoding::Utf16Le => u16::from_le_bytes([pair[0], pair[1]]),
+        _ => u16::from_be_bytes([pair[0], pair[1]]),
+    });
+    for decoded in char::decode_utf16(units) {
+        match decoded {
+            Ok(ch) => {
+                text.push(ch);
+                offset += ch.len_utf16() * 2;
+            }
+            // A lone surrogate
+            Err(_) => {
+                replace_invalid_unit(&mut text, policy, encoding, offset)?;
+                offset += 2;
+            }
+        }
+    }
+    if bytes.len() % 2 == 1 {
+        replace_invalid_unit(&mut text, policy, encoding, offset)?;
+    }
+    Ok(text)
+}
+
+// Latin-1 has no meaning for UTF-16 code units, so that policy replaces them too
+fn replace_invalid_unit(
+    text: &mut String,
+    policy: &str,
+    encoding: Encoding,
+    offset: usize,
+) -> Result<()> {
+    match policy {
+        "replace" | "latin1" => text.push(char::REPLACEMENT_CHARACTER),
+        "drop" => {}
+        _ => return Err(invalid_input(encoding, offset)),
+    }
+    Ok(())
+}
+
+fn invalid_input(encoding: Encoding, offset: usize) -> Error {
+    Error::new(
+        Status::InvalidArg,
+        format!("Invalid {} at byte {}", encoding.name(), offset),
+    )
+}
+
+// The encoding and BOM length of the input. Without a BOM, UTF-16 is
+// recognised by its zero bytes: JSON is mostly ASCII, which UTF-16 writes as
+// one zero byte and one non-zero byte.
+fn detect_encoding(bytes: &[u8]) -> (Encoding, usize) {
+    if bytes.starts_with(&[0xEF, 0xBB, 0xBF]) {
+        return (Encoding::Utf8, 3);
+    }
+    if bytes.starts_with(&[0xFF, 0xFE]) {
+        return (Encoding::Utf16Le, 2);
+    }
+    if bytes.starts_with(&[0xFE, 0xFF]) {
+        return (Encoding::Utf16Be, 2);
+    }
+
+    let pairs: Vec<&[u8]> = bytes.chunks_exact(2).take(64).collect();
+    let little = pairs
+        .iter()
+        .filter(|pair| pair[0] != 0 && pair[1] == 0)
+        .count();
+    let big = pairs
+        .iter()
+        .filter(|pair| pair[0] == 0 && pair[1] != 0)
+        .count();
+    if little * 2 > pairs.len() {
+        (Encoding::Utf16Le, 0)
+    } else if big * 2 > pairs.len() {
+        (Encoding::Utf16Be, 0)
+    } else {
+        (Encoding::Utf8, 0)
+    }
+}
@@ -0,0 +1,165 @@
+use napi::bindgen_prelude::*;
+use napi_derive::napi;
+
+use crate::decode;
+use crate::error::RepairFailure;
+use crate::{throws, Limits, Locator, Parser, Repair, RepairOptions};
+
+// ESLint's severities: problems that make the input invalid JSON are errors;
+// valid JSON that repair still changes gets warnings
+const WARNING: u32 = 1;
+const ERROR: u32 = 2;
+
+// A problem in the input, shaped like an ESLint lint message. Lines and
+// columns are 1-based; the end is just past the problem's text, or the start
+// for a missing token.
+#[napi(object)]
+pub struct Diagnostic {
+    // The repair log kind of the fix, or for a fatal one the error code in lower case
+    pub rule_id: String,
+    pub severity: u32,
+    pub message: String,
+    pub line: u32,
+    pub column: u32,
+    pub end_line: u32,
+    pub end_column: u32,
+    // Set when the options make the repair fail (a resource limit, onMaxDepth:
+    // 'throw', duplicateKeys: 'error' or nonFiniteNumbers: 'error'); it comes last
+    pub fatal: bool,
+}
+
+impl Diagnostic {
+    fn fatal(failure: RepairFailure) -> Self {
+        Diagnostic {
+            rule_id: failure.code.to_lowercase(),
+            severity: ERROR,
+            message: failure.message,
+            line: failure.line,
+            column: failure.column,
+            end_line: failure.line,
+            end_column: failure.column,
+            fatal: true,
+        }
+    }
+}
+
+// What a fix of `kind` says about the input. `before` is the input text it
+// replaces.
+fn message(kind: &str, before: &str) -> String {
+    match kind {
+        "single_quotes" => "Single-quoted string".to_string(),
+        "unquoted_key" => format!("Unquoted key '{}'", before),
+        "unquoted_string" => format!("Unquoted string '{}'", before),
+        "python_literal" => format!("Python literal '{}'", before),
+        "invalid_escape" => format!("Invalid escape '{}'", before),
+        "unescaped_quote" => "Unescaped quote in string".to_string(),
+        "unterminated_string" => "Unterminated string".to_string(),
+        "invalid_number" => format!("Invalid number '{}'", before),
+        "missing_comma" => "Missing comma".to_string(),
+        "missing_colon" => "Missing colon".to_string(),
+        "trailing_comma" => "Trailing comma".to_string(),
+        "extra_comma" => "Extra comma".to_string(),
+        "unclosed_object" => "Unclosed object".to_string(),
+        "unclosed_array" => "Unclosed array".to_string(),
+        "missing_value" => "Missing value".to_string(),
+        "unexpected_token" => format!("Unexpected token '{}'", before),
+        "invalid_key" => "Key that is not a string".to_string(),
+        "trailing_content" => "Content after the value".to_string(),
+        "max_depth" => "Nested deeper than maxDepth".to_string(),
+        "duplicate_key" => "Duplicate key".to_string(),
+        "js_wrapper" => "JavaScript code around the value".to_string(),
+        "js_literal" => format!("JavaScript literal '{}'", before),
+        "template_string" => "Template string".to_string(),
+        "string_concatenation" => "String concatenation".to_string(),
+        "non_finite_number" => format!("Non-finite number '{}'", before),
+        "python_tuple" => "Python tuple".to_string(),
+        "python_set" => "Python set".to_string(),
+        "python_string" => "Python string literal".to_string(),
+        "python_call" => "Python call".to_string(),
+        "hex_number" => "Hexadecimal number".to_string(),
+        "line_continuation" => "Line continuation in string".to_string(),
+        "lone_surrogate" => "Lone surrogate escape".to_string(),
+        "comment" => "Comment".to_string(),
+        _ => kind.replace('_', " "),
+    }
+}
+
+// Kinds of fix that valid JSON can need
+fn severity(kind: &str) -> u32 {
+    match kind {
+        "duplicate_key" | "lone_surrogate" | "max_depth" => WARNING,
+        _ => ERROR,
+    }
+}
+
+// Everything repairJSON would fix in `input` with `options`, in input order.
+// The parser runs as it does for repair with logging, so the diagnostics are
+// its repair log.
+#[napi]
+pub fn diagnose_rust(
+    input: Either<String, Uint8Array>,
+    options: RepairOptions,
+) -> Result<Vec<Diagnostic>> {
+    let input = decode::input_text(input, &options)?;
+    if let Err(failure) = Limits::from_options(&options).check_input(&input) {
+        return Ok(vec![Diagnostic::fatal(failure)]);
+    }
+    let mut parser = Parser::new(&input, true);
+    parser.apply_options(&options)?;
+    parser.require_value = options.on_error.as_deref() == Some("throw");
+    let result = parser.parse();
+    let failure = match result {
+        Err(error) if throws(&options, &error) => {
+            Some(RepairFailure::new(&parser.lexer.input, error, 0))
+        }
+        _ => None,
+    };
+
+    let mut repairs = parser.take_repairs();
+    repairs.sort_by_key(|repair| repair.position);
+    let mut diagnostics = located(&parser.lexer.input, repairs);
+    diagnostics.extend(failure.map(Diagnostic::fatal));
+    Ok(diagnostics)
+}
+
+// Diagnostics for `repairs`, which are in input order
+fn located(source: &[char], repairs: Vec<Repair>) -> Vec<Diagnostic> {
+    let ends: Vec<usize> = repairs
+        .iter()
+        .map(|repair| (repair.position + repair.before.chars().count()).min(source.len()))
+        .collect();
+
+    // Locate every start and end in one forward pass
+    let mut positions: Vec<usize> = repairs
+        .iter()
+        .map(|repair| repair.position)
+        .chain(ends.iter().copied())
+        .collect();
+    positions.sort_unstable();
+    positions.dedup();
+    let mut locator = Locator::new(source);
+    let located: Vec<(u32, u32, u32)> = positions
+        .iter()
+        .map(|&position| locator.locate(position))
+        .collect();
+    let find = |position: usize| located[positions.binary_search(&position).unwrap_or(0)];
+
+    repairs
+        .into_iter()
+        .zip(ends)
+        .map(|(repair, end)| {
+            let (_, line, column) = find(repair.position);
+            let (_, end_line, end_column) = find(end);
+            Diagnostic {
+                rule_id: repair.kind.to_string(),
+                severity: severity(repair.kind),
+                message: message(repair.kind, &repair.before),
+                line,
+                column,
+                end_line,
+                end_column,
+                fatal: false,
+            }
+        })
+        .collect()
+}
@@ -0,0 +1,116 @@
+use napi::bindgen_prelude::*;
+use napi::Env;
+use napi_derive::napi;
+
+use crate::Locator;
+
+// Lines shown around the failing one in a code frame
+const FRAME_CONTEXT: usize = 1;
+// Chars of a long line shown on each side of the failure
+const FRAME_HALF_WIDTH: usize = 40;
+
+// Why the parser gave up on the input
+#[derive(Debug)]
+pub(crate) struct ParseError {
+    pub code: &'static str,
+    pub message: String,
+    // Char index into the input
+    pub position: usize,
+}
+
+impl ParseError {
+    // Errors that only happen when the options ask for them (onMaxDepth:
+    // 'throw', a resource limit, duplicateKeys: 'error' or nonFiniteNumbers:
+    // 'error'), so they are always reported
+    pub fn is_requested(&self) -> bool {
+        self.code.starts_with("MAX_") || matches!(self.code, "DUPLICATE_KEY" | "NON_FINITE_NUMBER")
+    }
+}
+
+// A ParseError as reported to JS, for onError: 'throw'
+#[napi(object)]
+pub struct RepairFailure {
+    pub code: String,
+    pub message: String,
+    pub offset: u32,
+    pub line: u32,
+    pub column: u32,
+    pub code_frame: String,
+}
+
+impl RepairFailure {
+    pub(crate) fn new(source: &[char], error: ParseError, base: usize) -> Self {
+        let (offset, line, column) = Locator::new(source).locate(base + error.position);
+        RepairFailure {
+            code: error.code.to_string(),
+            message: format!("{} at line {}, column {}", error.message, line, column),
+            offset,
+            line,
+            column,
+            code_frame: code_frame(source, base + error.position),
+        }
+    }
+
+    // A JS Error carrying the failure's fields as properties
+    pub(crate) fn into_error(self, env: Env) -> Error {
+        let build = || -> Result<Error> {
+            let mut error =
+                env.create_error(Error::new(Status::GenericFailure, self.message.clone()))?;
+            error.set_named_property("code", self.code.clone())?;
+            error.set_named_property("offset", self.offset)?;
+            error.set_named_property("line", self.line)?;
+            error.set_named_property("column", self.column)?;
+            error.set_named_property("codeFrame", self.code_frame.clone())?;
+            Ok(Error::from(error.into_unknown()))
+        };
+        build().unwrap_or_else(|error| error)
+    }
+}
+
+// The lines around `position` with a caret under it:
+//
+//   1 | {"a": [[[
+// > 2 |   "b": }
+//     |        ^
+fn code_frame(source: &[char], position: usize) -> String {
+    let lines: Vec<&[char]> = source.split(|&c| c == '\n').collect();
+    let before = &source[..position.min(source.len())];
+    let line = before.iter().filter(|&&c| c == '\n').count();
+    let column = before.iter().rev().take_while(|&&c| c != '\n').count();
+
+    let first = line.saturating_sub(FRAME_CONTEXT);
+    let last = (line + FRAME_CONTEXT).min(lines.len() - 1);
+    let gutter = (last + 1).to_string().len();
+    // Long lines (minified JSON) are cut to a window around the column
+    let window_start = column.saturating_sub(FRAME_HALF_WIDTH);
+
+    let mut frame = Vec::new();
+    for (i, text) in lines.iter().enumerate().take(last + 1).skip(first) {
+        let text = text.strip_suffix(&['\r']).unwrap_or(text);
+        // A neighbouring line that ends before the window is shown from its start
+        let start = if window_start < text.len() {
+            window_start
+        } else {
+            0
+        };
+        let end = (window_start + 2 * FRAME_HALF_WIDTH).min(text.len());
+        let mut shown: String = text[start..end].iter().collect();
+        if start > 0 {
+            shown.insert(0, '…');
+        }
+        if end < text.len() {
+            shown.push('…');
+        }
+        let marker = if i == line { '>' } else { ' ' };
+        frame.push(
+            format!("{} {:>gutter$} | {}", marker, i + 1, shown)
+                .trim_end()
+                .to_string(),
+        );
+        if i == line {
+            let indent = column - window_start + usize::from(window_start > 0);
+            frame.push(format!("  {:>gutter$} | {}^", "", " ".repeat(indent)));
+        }
+    }
+    frame.join("\n")
+}
@@ -0,0 +1,350 @@
+use napi::bindgen_prelude::*;
+use napi::Env;
+use napi_derive::napi;
+
+use crate::decode;
+use crate::error::RepairFailure;
+use crate::schema::{self, SchemaReport};
+use crate::{
+    comment_entries, log_entries, source_spans, throws, CommentEntry, Format, Limits, Locator,
+    Parser, RepairLogEntry, RepairOptions, SourceSpan,
+};
+
+// Blocks of model reasoning that are never the answer
+const REASONING_TAGS: [&str; 3] = ["think", "thinking", "reasoning"];
+
+// Fence info strings that mark the content as JSON
+const JSON_LANGUAGES: [&str; 3] = ["json", "jsonc", "json5"];
+
+#[napi(object)]
+pub struct ExtractedJson {
+    pub output: String,
+    pub start: u32,
+    pub end: u32,
+    pub line: u32,
+    pub column: u32,
+    pub source: String,
+    pub language: Option<String>,
+    pub score: f64,
+    pub repairs: Vec<RepairLogEntry>,
+    pub comments: Vec<CommentEntry>,
+    pub validation: Option<SchemaReport>,
+    pub source_map: Vec<SourceSpan>,
+}
+
+// A region of the text that may hold JSON, as char indices
+struct Candidate {
+    start: usize,
+    end: usize,
+    source: &'static str,
+    language: Option<String>,
+}
+
+fn find(haystack: &[char], needle: &str, from: usize) -> Option<usize> {
+    let needle: Vec<char> = needle.chars().collect();
+    if from >= haystack.len() || needle.len() > haystack.len() - from {
+        return None;
+    }
+    haystack[from..]
+        .windows(needle.len())
+        .position(|window| window == needle.as_slice())
+        .map(|i| i + from)
+}
+
+// Ranges covered by <think>...</think> style blocks. An unclosed block runs
+// to the end of the text.
+fn reasoning_blocks(lower: &[char]) -> Vec<(usize, usize)> {
+    let mut blocks = Vec::new();
+    for tag in REASONING_TAGS {
+        let open = format!("<{}>", tag);
+        let close = format!("</{}>", tag);
+        let mut from = 0;
+        while let Some(start) = find(lower, &open, from) {
+            let end = find(lower, &close, start)
+                .map(|i| i + close.len())
+                .unwrap_or(lower.len());
+            blocks.push((start, end));
+            from = end;
+        }
+    }
+    blocks
+}
+
+fn line_end(chars: &[char], from: usize) -> usize {
+    chars[from..]
+        .iter()
+        .position(|&c| c == '\n')
+        .map(|i| from + i)
+        .unwrap_or(chars.len())
+}
+
+// Markdown code fences as (content start, content end, language). An
+// unclosed fence runs to the end of the text.
+fn code_fences(chars: &[char], skip: &[(usize, usize)]) -> Vec<(usize, usize, Option<String>)> {
+    let mut fences = Vec::new();
+    let mut line_start = 0;
+
+    while line_start < chars.len() {
+        let end = line_end(chars, line_start);
+        let line = &chars[line_start..end];
+        let indent = line.iter().take_while(|&&c| c == ' ').count();
+        let marker = line.get(indent).copied();
+        let fence_len = line[indent..]
+            .iter()
+            .take_while(|&&c| Some(c) == marker)
+            .count();
+
+        let in_skipped = skip.iter().any(|&(s, e)| line_start >= s && line_start < e);
+        if indent <= 3 && matches!(marker, Some('`') | Some('~')) && fence_len >= 3 && !in_skipped {
+            let info: String = line[indent + fence_len..].iter().collect();
+            let language = info
+                .split_whitespace()
+                .next()
+                .map(|l| l.to_ascii_lowercase());
+            let content_start = (end + 1).min(chars.len());
+
+            // Find the closing fence: same marker, at least as long
+            let mut close_start = content_start;
+            let mut content_end = chars.len();
+            let mut next_line = chars.len();
+            while close_start < chars.len() {
+                let close_end = line_end(chars, close_start);
+                let close_line = &chars[close_start..close_end];
+                let close_indent = close_line.iter().take_while(|&&c| c == ' ').count();
+                let run = close_line[close_indent..]
+                    .iter()
+                    .take_while(|&&c| Some(c) == marker)
+                    .count();
+                if close_indent <= 3
+                    && run >= fence_len
+                    && close_line[close_indent + run..]
+                        .iter()
+                        .all(|c| c.is_whitespace())
+                {
+                    content_end = close_start;
+                    next_line = close_end + 1;
+                    break;
+                }
+                close_start = close_end + 1;
+            }
+
+            fences.push((content_start, content_end, language));
+            line_start = next_line;
+        } else {
+            line_start = end + 1;
+        }
+    }
+
+    fences
+}
+
+// Balanced {...} or [...] regions in chars[start..end]. A region left open at
+// `end` is kept, since repair can close it.
+fn bracket_regions(
+    chars: &[char],
+    start: usize,
+    end: usize,
+    skip: &[(usize, usize)],
+) -> Vec<(usize, usize)> {
+    let mut regions = Vec::new();
+    let mut i = start;
+
+    while i < end {
+        if let Some(&(_, skip_end)) = skip.iter().find(|&&(s, e)| i >= s && i < e) {
+            i = skip_end;
+            continue;
+        }
+        if chars[i] != '{' && chars[i] != '[' {
+            i += 1;
+            continue;
+        }
+
+        let region_start = i;
+        let mut depth = 0usize;
+        // The quote of the string `i` is in. A single quote opens a string only
+        // where a value or key starts, so apostrophes in unquoted text do not
+        let mut quote = None;
+        let mut previous = ' ';
+        while i < end {
+            let ch = chars[i];
+            if let Some(open) = quote {
+                if ch == '\\' {
+                    i += 1;
+                } else if ch == open {
+                    quote = None;
+                }
+            } else {
+                match ch {
+                    '"' => quote = Some('"'),
+                    '\'' if matches!(previous, '{' | '[' | ',' | ':') => quote = Some('\''),
+                    '{' | '[' => depth += 1,
+                    '}' | ']' => {
+                        depth -= 1;
+                        if depth == 0 {
+                            i += 1;
+                            break;
+                        }
+                    }
+                    _ => {}
+                }
+                if !ch.is_whitespace() {
+                    previous = ch;
+                }
+            }
+            i += 1;
+        }
+        regions.push((region_start, i.min(end)));
+    }
+
+    regions
+}
+
+fn find_candidates(chars: &[char]) -> Vec<Candidate> {
+    let lower: Vec<char> = chars.iter().map(|c| c.to_ascii_lowercase()).collect();
+    let mut skip = reasoning_blocks(&lower);
+    let mut candidates = Vec::new();
+
+    for (start, end, language) in code_fences(chars, &skip) {
+        let is_json = language
+            .as_deref()
+            .is_some_and(|l| JSON_LANGUAGES.contains(&l));
+        if is_json {
+            candidates.push(Candidate {
+                start,
+                end,
+                source: "fence",
+                language,
+            });
+        } else {
+            // Other code may embed JSON, e.g. `const data = {...}`
+            for (s, e) in bracket_regions(chars, start, end, &skip) {
+                candidates.push(Candidate {
+                    start: s,
+                    end: e,
+                    source: "fence",
+                    language: language.clone(),
+                });
+            }
+        }
+        skip.push((start, end));
+    }
+
+    for (start, end) in bracket_regions(chars, 0, chars.len(), &skip) {
+        candidates.push(Candidate {
+            start,
+            end,
+            source: "text",
+            language: None,
+        });
+    }
+
+    candidates.sort_by_key(|candidate| candidate.start);
+    candidates
+}
+
+#[napi]
+pub fn extract_json_rust(
+    env: Env,
+    text: Either<String, Uint8Array>,
+    options: RepairOptions,
+) -> Result<Vec<ExtractedJson>> {
+    let text = decode::input_text(text, &options)?;
+    Limits::from_options(&options)
+        .check_input(&text)
+        .map_err(|failure| failure.into_error(env))?;
+    let format = Format::from_options(&options)?;
+    let preserve_numbers = options.preserve_numbers.unwrap_or(false);
+    let schema = options
+        .schema
+        .as_deref()
+        .map(schema::parse_schema)
+        .transpose()?;
+
+    let chars: Vec<char> = text.chars().collect();
+    let mut locator = Locator::new(&chars);
+    let mut comment_locator = Locator::new(&chars);
+    let mut span_locator = Locator::new(&chars);
+    let mut results = Vec::new();
+
+    for mut candidate in find_candidates(&chars) {
+        // Report the region without surrounding whitespace
+        while candidate.start < candidate.end && chars[candidate.start].is_whitespace() {
+            candidate.start += 1;
+        }
+        while candidate.end > candidate.start && chars[candidate.end - 1].is_whitespace() {
+            candidate.end -= 1;
+        }
+        if candidate.start == candidate.end {
+            continue;
+        }
+        let region: String = chars[candidate.start..candidate.end].iter().collect();
+
+        let mut parser = Parser::new(&region, true);
+        parser.preserve_numbers = preserve_numbers;
+        parser.spans = options.source_map.unwrap_or(false).then(Vec::new);
+        parser.apply_options(&options)?;
+        let mut value = match parser.parse() {
+            Ok(value) => value,
+            // What the options ask for holds for the whole text, not just this candidate
+            Err(error) if throws(&options, &error) => {
+                return Err(RepairFailure::new(&chars, error, candidate.start).into_error(env));
+            }
+            Err(_) => continue,
+        };
+        let validation = schema.as_ref().map(|schema| {
+            schema::apply_schema(schema, &mut value, preserve_numbers, &parser.lexer.watch)
+        });
+        let repairs = parser.take_repairs();
+
+        // Prefer regions that match the schema, then JSON-tagged fences, then
+        // containers, then regions that need few repairs for their size, then
+        // larger regions
+        let length = (candidate.end - candidate.start) as f64;
+        let mut score = match (candidate.source, &candidate.language) {
+            ("fence", Some(l)) if JSON_LANGUAGES.contains(&l.as_str()) => 100.0,
+            ("fence", _) => 60.0,
+            _ => 40.0,
+        };
+        if value.is_object() || value.is_array() {
+            score += 20.0;
+        }
+        score -= (repairs.len() as f64 * 200.0 / length).min(40.0);
+        score += 10.0 * length.log10();
+        if validation.as_ref().is_some_and(|report| report.valid) {
+            score += 100.0;
+        }
+
+        let (start, line, column) = locator.locate(candidate.start);
+        let repairs = log_entries(&mut locator, repairs, candidate.start);
+        let (end, _, _) = locator.locate(candidate.end);
+        let comments = std::mem::take(&mut parser.lexer.comments);
+        let comments = comment_entries(&mut comment_locator, comments, candidate.start);
+        let spans = parser.spans.take().unwrap_or_default();
+        let source_map = source_spans(
+            &mut span_locator,
+            &value,
+            spans,
+            validation.as_ref(),
+            candidate.start,
+        );
+
+        results.push(ExtractedJson {
+            output: format.write(&value, &parser.lexer.watch),
+            start,
+            end,
+            line,
+            column,
+            source: candidate.source.to_string(),
+            language: candidate.language,
+            score,
+            repairs,
+            comments,
+            validation,
+            source_map,
+        });
+    }
+
+    // Best first; ties keep text order
+    results.sort_by(|a, b| b.score.total_cmp(&a.score));
+    Ok(results)
+}
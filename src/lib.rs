@@ -1,8 +1,39 @@
 #![deny(clippy::all)]
 
 use napi::bindgen_prelude::*;
+use napi::Env;
 use napi_derive::napi;
-use std::collections::VecDeque;
+use std::cell::{Cell, RefCell};
+use std::collections::HashSet;
+use std::sync::atomic::{AtomicBool, Ordering};
+use std::sync::Arc;
+use std::time::Instant;
+
+mod batch;
+mod decode;
+mod diagnose;
+mod error;
+mod extract;
+mod schema;
+mod stream;
+mod task;
+
+use error::{ParseError, RepairFailure};
+use schema::{SchemaFix, SchemaReport};
+
+// Bare words read as true, false or null, JSON and Python spellings
+const LITERALS: [&str; 6] = ["true", "false", "null", "True", "False", "None"];
+
+// Numbers JSON can't represent, as written in JavaScript
+const NON_FINITE: [&str; 4] = ["NaN", "Infinity", "-Infinity", "+Infinity"];
+
+// Most chars a lookahead past the current token scans, so that reading input
+// like `{{{{…` or `Decimal(Decimal(…` stays linear
+const LOOKAHEAD_LIMIT: usize = 1000;
+
+// Deepest max_depth accepted. Parsing and writing recurse once per level of
+// nesting, so deeper input could overflow the stack
+const MAX_DEPTH_LIMIT: u32 = 4000;
 
 #[derive(Debug, Clone, PartialEq)]
 enum Token {
@@ -20,14 +51,59 @@ enum Token {
     EOF,
 }
 
+// Half-open range of char indices into the input
+#[derive(Debug, Clone, Copy, PartialEq, Default)]
+struct Span {
+    start: usize,
+    end: usize,
+}
+
+// A fix applied while repairing, positioned by char index into the input
+#[derive(Debug, Clone)]
+struct Repair {
+    kind: &'static str,
+    position: usize,
+    before: String,
+    after: String,
+}
+
+// A comment skipped by the lexer. `text` excludes the delimiters.
+#[derive(Debug, Clone)]
+struct Comment {
+    kind: &'static str,
+    text: String,
+    span: Span,
+}
+
 struct Lexer {
     input: Vec<char>,
     position: usize,
     current_char: Option<char>,
+    token_start: usize,
+    // Set when the last string token ran into the end of input
+    unterminated: bool,
+    // More input may follow, so escapes cut off at the end are left unread
+    streaming: bool,
+    syntax: Syntax,
+    // Brackets open before the current position, true for those that hold
+    // items rather than members; js wrappers are only read outside all of them
+    brackets: Vec<bool>,
+    // The last char of dropped input that is not a space or tab (streaming)
+    discarded: Option<char>,
+    // Calls like `callback(` skipped by js syntax whose `)` is still to come
+    calls: usize,
+    // Whether each `{` still open is a set, in python syntax
+    sets: Vec<bool>,
+    lone_surrogates: LoneSurrogates,
+    // Stops reading when an async repair is cancelled or times out
+    watch: Watch,
+    logging: bool,
+    repairs: Vec<Repair>,
+    comments: Vec<Comment>,
 }
 
 impl Lexer {
-    fn new(input: &str) -> Self {
+    fn new(input: &str, logging: bool) -> Self {
         let chars: Vec<char> = input.chars().collect();
         let current_char = chars.first().copied();
         
@@ -35,116 +111,463 @@ impl Lexer {
             input: chars,
             position: 0,
             current_char,
+            token_start: 0,
+            unterminated: false,
+            streaming: false,
+            syntax: Syntax::Json,
+            brackets: Vec::new(),
+            discarded: None,
+            calls: 0,
+            sets: Vec::new(),
+            lone_surrogates: LoneSurrogates::Replace,
+            watch: Watch::default(),
+            logging,
+            repairs: Vec::new(),
+            comments: Vec::new(),
+        }
+    }
+    
+    fn log(&mut self, kind: &'static str, position: usize, before: String, after: String) {
+        if self.logging {
+            self.repairs.push(Repair { kind, position, before, after });
         }
     }
     
+    fn slice(&self, start: usize, end: usize) -> String {
+        self.input[start..end].iter().collect()
+    }
+    
     #[inline]
     fn advance(&mut self) {
         self.position += 1;
         self.current_char = self.input.get(self.position).copied();
     }
     
-    fn skip_whitespace(&mut self) {
-        while let Some(ch) = self.current_char {
-            if ch.is_whitespace() {
-                self.advance();
-            } else {
-                break;
+    fn rewind(&mut self, position: usize) {
+        self.position = position;
+        self.current_char = self.input.get(position).copied();
+    }
+    
+    // The current char, for the loops that read long tokens. Once the watch
+    // stops the repair, the input reads as if it ended here.
+    #[inline]
+    fn next_char(&mut self) -> Option<char> {
+        if self.watch.tick() {
+            self.rewind(self.input.len());
+        }
+        self.current_char
+    }
+    
+    // Go back to the start of the input, forgetting what was read
+    fn restart(&mut self) {
+        self.rewind(0);
+        self.brackets.clear();
+        self.calls = 0;
+        self.sets.clear();
+        self.repairs.clear();
+        self.comments.clear();
+    }
+    
+    // Append more input (streaming)
+    fn push_str(&mut self, chunk: &str) {
+        self.input.extend(chunk.chars());
+        self.current_char = self.input.get(self.position).copied();
+    }
+    
+    // Drop input that has already been tokenized (streaming)
+    fn discard_consumed(&mut self) {
+        let last = self.input[..self.position].iter().rev().find(|&&c| !matches!(c, ' ' | '\t' | '\r'));
+        self.discarded = last.copied().or(self.discarded);
+        self.input.drain(..self.position);
+        self.position = 0;
+        self.token_start = 0;
+        self.comments.clear();
+    }
+    
+    // Whether the escape starting at the current backslash runs past the end of input
+    fn escape_is_cut_off(&self) -> bool {
+        match self.input.get(self.position + 1) {
+            None => true,
+            Some('u') => {
+                let hex_start = self.position + 2;
+                let available = self.input[hex_start.min(self.input.len())..]
+                    .iter()
+                    .take(4)
+                    .take_while(|h| h.is_ascii_hexdigit())
+                    .count();
+                if available < 4 {
+                    return hex_start + available >= self.input.len();
+                }
+                // A high surrogate waits for the low one that may follow it
+                let hex = self.slice(hex_start, hex_start + 4);
+                let high = u32::from_str_radix(&hex, 16).is_ok_and(|code| (0xD800..0xDC00).contains(&code));
+                let rest = &self.input[hex_start + 4..];
+                high && rest.len() < 6
+                    && rest.iter().enumerate().all(|(i, &c)| match i {
+                        0 => c == '\\',
+                        1 => c == 'u',
+                        _ => c.is_ascii_hexdigit(),
+                    })
+            }
+            Some(_) => false,
+        }
+    }
+    
+    // Skip whitespace and `//`, `/* */` and `#` comments. Returns false when
+    // streaming and a comment may continue in the next chunk.
+    fn skip_whitespace(&mut self) -> bool {
+        loop {
+            match self.current_char {
+                Some(ch) if ch.is_whitespace() => self.advance(),
+                Some('#') => {
+                    match self.hash_starts_comment() {
+                        // A hash at the end of a chunk may start a comment
+                        None => return false,
+                        Some(false) => return true,
+                        Some(true) if !self.skip_comment("hash", 1) => return false,
+                        Some(true) => {}
+                    }
+                }
+                // The end of a statement or call that js syntax skipped the start of
+                Some(ch @ (';' | ')')) if self.syntax == Syntax::Js && (ch == ';' || self.calls > 0) => {
+                    if ch == ')' {
+                        self.calls -= 1;
+                    }
+                    self.log("js_wrapper", self.position, ch.to_string(), String::new());
+                    self.advance();
+                }
+                Some('/') => {
+                    let complete = match self.input.get(self.position + 1) {
+                        Some('/') => self.skip_comment("line", 2),
+                        Some('*') => self.skip_comment("block", 2),
+                        // A slash at the end of a chunk may start a comment
+                        None => return !self.streaming,
+                        Some(_) => return true,
+                    };
+                    if !complete {
+                        return false;
+                    }
+                }
+                _ => return true,
             }
         }
     }
     
+    // Whether the `#` at the current position starts a comment. Where a value
+    // goes, right after `:` or `[`, or after `,` in an array, on the same line,
+    // `#` followed by more text is the start of an unquoted string such as a
+    // color (`{color: #fff}`). After `,` in an object a key goes there.
+    // None while streaming and the next char has not arrived.
+    fn hash_starts_comment(&self) -> Option<bool> {
+        match self.input.get(self.position + 1) {
+            None if self.streaming => return None,
+            None => return Some(true),
+            Some(&ch) if ch.is_whitespace() || ch == '#' => return Some(true),
+            Some(_) => {}
+        }
+        let previous = self.input[..self.position].iter().rev().find(|&&c| !matches!(c, ' ' | '\t' | '\r'));
+        let in_array = self.brackets.last() == Some(&true);
+        Some(match previous.copied().or(self.discarded) {
+            Some(':' | '[') => false,
+            Some(',') => !in_array,
+            _ => true,
+        })
+    }
+    
+    // Skip the comment at the current position, whose opening delimiter is
+    // `open` chars long. Line comments end before the newline, block comments
+    // after `*/` or at the end of input.
+    fn skip_comment(&mut self, kind: &'static str, open: usize) -> bool {
+        let start = self.position;
+        let content_start = start + open;
+        let rest = &self.input[content_start..];
+        let found = if kind == "block" {
+            rest.windows(2).position(|w| w == ['*', '/']).map(|i| (content_start + i, content_start + i + 2))
+        } else {
+            rest.iter().position(|&c| c == '\n').map(|i| (content_start + i, content_start + i))
+        };
+        let (content_end, end) = match found {
+            Some(found) => found,
+            None if self.streaming => return false,
+            None => (self.input.len(), self.input.len()),
+        };
+        
+        let mut text = self.slice(content_start, content_end);
+        if kind != "block" && text.ends_with('\r') {
+            text.pop();
+        }
+        if self.logging {
+            let before = self.slice(start, end);
+            self.log("comment", start, before, String::new());
+        }
+        self.comments.push(Comment { kind, text, span: Span { start, end } });
+        self.rewind(end);
+        true
+    }
+    
     fn read_string(&mut self, quote_char: char) -> String {
-        let mut result = String::with_capacity(64);
         self.advance(); // Skip opening quote
+        self.continue_string(quote_char, String::with_capacity(64))
+    }
+    
+    // Read string content up to the closing quote, appending to `result`
+    fn continue_string(&mut self, quote_char: char, mut result: String) -> String {
+        let mut closed = false;
         
-        while let Some(ch) = self.current_char {
+        while let Some(ch) = self.next_char() {
             if ch == quote_char {
-                self.advance(); // Skip closing quote
-                break;
+                match self.quote_closes() {
+                    Some(true) => {
+                        self.advance(); // Skip closing quote
+                        closed = true;
+                        break;
+                    }
+                    Some(false) => {
+                        // An unescaped quote inside the string
+                        let after = escape_string_for_json(&ch.to_string(), false);
+                        self.log("unescaped_quote", self.position, ch.to_string(), after);
+                        result.push(ch);
+                        self.advance();
+                    }
+                    // Wait for what follows the quote
+                    None => break,
+                }
             } else if ch == '\\' {
+                if self.streaming && self.escape_is_cut_off() {
+                    // Wait for the rest of the escape
+                    break;
+                }
+                self.read_escape(quote_char, &mut result);
+            } else {
+                result.push(ch);
                 self.advance();
-                if let Some(escaped) = self.current_char {
-                    match escaped {
-                        'n' => result.push('\n'),
-                        'r' => result.push('\r'),
-                        't' => result.push('\t'),
-                        'b' => result.push('\u{0008}'),
-                        'f' => result.push('\u{000C}'),
-                        '"' => result.push('"'),
-                        '\'' => result.push('\''),
-                        '\\' => result.push('\\'),
-                        '/' => result.push('/'),
-                        'u' => {
-                            // Handle unicode escape
-                            self.advance();
-                            let mut hex = String::with_capacity(4);
-                            for _ in 0..4 {
-                                if let Some(h) = self.current_char {
-                                    if h.is_ascii_hexdigit() {
-                                        hex.push(h);
-                                        self.advance();
-                                    } else {
-                                        break;
-                                    }
-                                } else {
-                                    break;
-                                }
-                            }
-                            if hex.len() == 4 {
-                                if let Ok(code) = u32::from_str_radix(&hex, 16) {
-                                    if let Some(unicode_char) = char::from_u32(code) {
-                                        result.push(unicode_char);
-                                    } else {
-                                        // Invalid unicode, keep as is
-                                        result.push_str("\\u");
-                                        result.push_str(&hex);
-                                    }
-                                } else {
-                                    result.push_str("\\u");
-                                    result.push_str(&hex);
-                                }
-                            } else {
-                                // Incomplete unicode escape, treat as literal
-                                result.push_str("\\u");
-                                result.push_str(&hex);
-                            }
-                            continue; // Don't advance again
+            }
+        }
+        
+        self.unterminated = !closed;
+        if !closed {
+            self.log("unterminated_string", self.position, String::new(), "\"".to_string());
+        }
+        
+        result
+    }
+    
+    // Read the escape at the backslash at the current position into `result`
+    fn read_escape(&mut self, quote_char: char, result: &mut String) {
+        let escape_start = self.position;
+        self.advance();
+        if let Some(escaped) = self.current_char {
+            match escaped {
+                'n' => result.push('\n'),
+                'r' => result.push('\r'),
+                't' => result.push('\t'),
+                'b' => result.push('\u{0008}'),
+                'f' => result.push('\u{000C}'),
+                '"' => result.push('"'),
+                '\'' => result.push('\''),
+                '\\' => result.push('\\'),
+                '/' => result.push('/'),
+                // A line continuation, which leaves nothing in the string
+                '\r' | '\n' | '\u{2028}' | '\u{2029}' if self.syntax != Syntax::Json => {
+                    if escaped == '\r' && self.input.get(self.position + 1) == Some(&'\n') {
+                        self.advance();
+                    }
+                    let before = self.slice(escape_start, self.position + 1);
+                    self.log("line_continuation", escape_start, before, String::new());
+                }
+                'x' if self.syntax != Syntax::Json => {
+                    // \xNN, a code point below 256
+                    let hex = self.slice(self.position + 1, (self.position + 3).min(self.input.len()));
+                    match u8::from_str_radix(&hex, 16) {
+                        Ok(code) if hex.len() == 2 => {
+                            result.push(char::from(code));
+                            self.rewind(self.position + 2);
+                            self.log("invalid_escape", escape_start, format!("\\x{}", hex), char::from(code).to_string());
                         }
                         _ => {
-                            result.push(escaped);
+                            result.push('x');
+                            self.log("invalid_escape", escape_start, "\\x".to_string(), "x".to_string());
                         }
                     }
+                }
+                'u' => {
+                    // Handle unicode escape
                     self.advance();
-                } else {
-                    // Trailing backslash
-                    result.push('\\');
+                    let mut hex = String::with_capacity(4);
+                    for _ in 0..4 {
+                        if let Some(h) = self.current_char {
+                            if h.is_ascii_hexdigit() {
+                                hex.push(h);
+                                self.advance();
+                            } else {
+                                break;
+                            }
+                        } else {
+                            break;
+                        }
+                    }
+                    let code = if hex.len() == 4 { u32::from_str_radix(&hex, 16).ok() } else { None };
+                    match code {
+                        Some(high @ 0xD800..=0xDBFF) => match self.low_surrogate() {
+                            Some(low) => {
+                                // UTF-16 for a character beyond U+FFFF
+                                let code = 0x10000 + ((high - 0xD800) << 10) + (low - 0xDC00);
+                                result.extend(char::from_u32(code));
+                                self.rewind(self.position + 6);
+                            }
+                            None => self.push_lone_surrogate(escape_start, &hex, result),
+                        },
+                        Some(0xDC00..=0xDFFF) => self.push_lone_surrogate(escape_start, &hex, result),
+                        Some(code) => result.extend(char::from_u32(code)),
+                        None => {
+                            // Invalid or incomplete unicode escape, keep as literal text
+                            result.push_str("\\u");
+                            result.push_str(&hex);
+                            self.log("invalid_escape", escape_start, format!("\\u{}", hex), format!("\\\\u{}", hex));
+                        }
+                    }
+                    return; // Don't advance again
+                }
+                _ => {
+                    result.push(escaped);
+                    if self.logging && !(escaped == '\'' && quote_char == '\'') {
+                        self.log("invalid_escape", escape_start, format!("\\{}", escaped), escaped.to_string());
+                    }
                 }
-            } else {
-                result.push(ch);
-                self.advance();
             }
+            self.advance();
+        } else {
+            // Trailing backslash
+            result.push('\\');
+            self.log("invalid_escape", escape_start, "\\".to_string(), "\\\\".to_string());
         }
-        
-        result
     }
     
+    // Whether the quote at the current position closes its string. It does
+    // before `,` `}` `]` `:`, a comment or the end of the input, and before
+    // the next member when a comma is missing: a key (`"x" b: 1`) or a string
+    // followed by one of those delimiters. Anything else after it, such as the
+    // rest of `"He said "hello" to me"`, makes it part of the content. A
+    // string outside all brackets always ends at its second quote.
+    // None while streaming and what follows has not fully arrived.
+    fn quote_closes(&self) -> Option<bool> {
+        let Some(next) = self.next_non_whitespace(self.position + 1) else {
+            return if self.streaming { None } else { Some(true) };
+        };
+        // Outside all brackets, whatever follows a string is the next document
+        if self.brackets.is_empty() {
+            return Some(true);
+        }
+        Some(match self.input[next] {
+            ',' | '}' | ']' | ':' => true,
+            // Concatenation and the end of a statement, call or tuple
+            '+' | ';' => self.syntax == Syntax::Js,
+            ')' => self.syntax != Syntax::Json,
+            '#' => next > self.position + 1,
+            '/' => matches!(self.input.get(next + 1), Some('/') | Some('*')),
+            '"' | '\'' => {
+                let Some(end) = self.string_end(next) else {
+                    return if self.streaming { None } else { Some(false) };
+                };
+                match self.next_non_whitespace(end + 1) {
+                    Some(after) => matches!(self.input[after], ',' | '}' | ']' | ':'),
+                    None if self.streaming => return None,
+                    None => true,
+                }
+            }
+            ch if ch.is_alphabetic() || ch == '_' || ch == '$' => {
+                let end = (next..self.input.len())
+                    .find(|&i| !(self.input[i].is_alphanumeric() || matches!(self.input[i], '_' | '$')));
+                match end.and_then(|end| self.next_non_whitespace(end)) {
+                    Some(after) => self.input[after] == ':',
+                    None if self.streaming => return None,
+                    None => false,
+                }
+            }
+            _ => false,
+        })
+    }
+    
+    fn next_non_whitespace(&self, from: usize) -> Option<usize> {
+        (from..self.input.len()).find(|&i| !self.input[i].is_whitespace())
+    }
+    
+    // The closing quote of the string that opens at `start`
+    fn string_end(&self, start: usize) -> Option<usize> {
+        let quote = self.input[start];
+        let mut i = start + 1;
+        while let Some(&ch) = self.input.get(i) {
+            if self.watch.tick() {
+                return None;
+            }
+            match ch {
+                '\\' => i += 2,
+                _ if ch == quote => return Some(i),
+                _ => i += 1,
+            }
+        }
+        None
+    }
+    
+    // Read a bare word, which may hold spaces: it ends at `:`, `,`, `}` or
+    // `]`, at a comment after a space, or at a newline when the next line
+    // starts another member. Surrounding whitespace is left out.
     fn read_unquoted_string(&mut self) -> String {
-        let mut result = String::with_capacity(32);
+        let start = self.position;
+        // End of the last char that is not whitespace
+        let mut end = start;
         
-        while let Some(ch) = self.current_char {
-            if ch.is_alphanumeric() || ch == '_' || ch == '-' || ch == '.' || ch == '$' {
-                result.push(ch);
-                self.advance();
-            } else if ch == ':' || ch == ',' || ch == '}' || ch == ']' || ch.is_whitespace() {
-                break;
-            } else {
-                result.push(ch);
-                self.advance();
+        while let Some(ch) = self.next_char() {
+            match ch {
+                ':' | ',' | '}' | ']' => break,
+                '\n' if self.next_line_starts_member() => break,
+                _ if ch.is_whitespace() => {}
+                '#' | '/' if self.position > end && self.starts_comment() => break,
+                _ => end = self.position + 1,
             }
+            self.advance();
         }
         
-        result
+        // Literals separated by spaces from other literals or numbers
+        // (`true null 1`) stay separate values
+        let mut words = self.input[start..end].split(|c| c.is_whitespace()).filter(|w| !w.is_empty());
+        if let Some(first) = words.next() {
+            let literal = |w: &[char]| LITERALS.contains(&w.iter().collect::<String>().as_str());
+            let number = |w: &[char]| matches!(w[0], '-' | '0'..='9');
+            if literal(first) && words.all(|w| literal(w) || number(w)) {
+                end = start + first.len();
+            }
+        }
+        
+        let word = self.slice(start, end);
+        // Trailing whitespace is skipped as such, unless more input may follow it
+        if !(self.streaming && self.current_char.is_none()) {
+            self.rewind(end);
+        }
+        word
+    }
+    
+    // Whether the line after the newline at the current position starts with
+    // a key (text up to a colon) or a quoted or bracketed value
+    fn next_line_starts_member(&self) -> bool {
+        let mut line = self.input[self.position + 1..]
+            .iter()
+            .copied()
+            .skip_while(|&c| c.is_whitespace() && c != '\n')
+            .take_while(|&c| !matches!(c, ',' | '}' | ']' | '\n'))
+            .peekable();
+        match line.peek() {
+            Some('"' | '\'' | '{' | '[') => true,
+            _ => line.any(|c| c == ':'),
+        }
+    }
+    
+    fn starts_comment(&self) -> bool {
+        match self.current_char {
+            Some('#') => true,
+            Some('/') => matches!(self.input.get(self.position + 1), Some('/') | Some('*')),
+            _ => false,
+        }
     }
     
     fn read_number(&mut self) -> String {
@@ -157,7 +580,7 @@ impl Lexer {
         }
         
         // Read integer part
-        while let Some(ch) = self.current_char {
+        while let Some(ch) = self.next_char() {
             if ch.is_ascii_digit() {
                 result.push(ch);
                 self.advance();
@@ -172,7 +595,7 @@ impl Lexer {
             self.advance();
             
             // Read fractional part
-            while let Some(ch) = self.current_char {
+            while let Some(ch) = self.next_char() {
                 if ch.is_ascii_digit() {
                     result.push(ch);
                     self.advance();
@@ -195,7 +618,7 @@ impl Lexer {
                     }
                 }
                 
-                while let Some(ch) = self.current_char {
+                while let Some(ch) = self.next_char() {
                     if ch.is_ascii_digit() {
                         result.push(ch);
                         self.advance();
@@ -209,25 +632,446 @@ impl Lexer {
         result
     }
     
+    // Tokens only js syntax has, or None to read the current char as JSON.
+    // Wrappers are skipped, and the token after them is returned.
+    fn read_js(&mut self) -> Option<Token> {
+        let ch = self.current_char?;
+        if self.brackets.is_empty() && (ch.is_alphabetic() || ch == '_' || ch == '$') {
+            if let Some((end, call)) = self.js_wrapper_end() {
+                let before = self.slice(self.position, end);
+                self.log("js_wrapper", self.position, before, String::new());
+                self.calls += usize::from(call);
+                self.rewind(end);
+                return Some(self.next_token());
+            }
+        }
+        
+        if let Some(token) = self.read_non_finite().or_else(|| self.read_hex_number()) {
+            return Some(token);
+        }
+        let end = self.identifier_end(self.position);
+        if self.slice(self.position, end) == "undefined" {
+            self.rewind(end);
+            self.log("js_literal", self.token_start, "undefined".to_string(), "null".to_string());
+            return Some(Token::Null);
+        }
+        
+        if ch == '`' {
+            let value = self.read_string('`');
+            if self.logging {
+                let before = self.slice(self.token_start, self.position);
+                let after = format!("\"{}\"", escape_string_for_json(&value, false));
+                self.log("template_string", self.token_start, before, after);
+            }
+            return Some(Token::String(self.join_strings(value)));
+        }
+        None
+    }
+    
+    // The low surrogate of a `\uXXXX` escape at the current position
+    fn low_surrogate(&self) -> Option<u32> {
+        let escape = self.input.get(self.position..self.position + 6)?;
+        if escape[0] != '\\' || escape[1] != 'u' || !escape[2..].iter().all(|h| h.is_ascii_hexdigit()) {
+            return None;
+        }
+        let hex: String = escape[2..].iter().collect();
+        u32::from_str_radix(&hex, 16).ok().filter(|code| (0xDC00..0xE000).contains(code))
+    }
+    
+    // A surrogate escape without its other half, which no character has
+    fn push_lone_surrogate(&mut self, escape_start: usize, hex: &str, result: &mut String) {
+        let replacement = match self.lone_surrogates {
+            LoneSurrogates::Replace => char::REPLACEMENT_CHARACTER.to_string(),
+            LoneSurrogates::Escape => format!("\\u{}", hex),
+            LoneSurrogates::Drop => String::new(),
+        };
+        result.push_str(&replacement);
+        let after = escape_string_for_json(&replacement, false);
+        self.log("lone_surrogate", escape_start, format!("\\u{}", hex), after);
+    }
+    
+    // NaN, or Infinity with an optional sign, as js and json5 write them
+    fn read_non_finite(&mut self) -> Option<Token> {
+        let signed = matches!(self.current_char, Some('-') | Some('+'));
+        let word_start = self.position + usize::from(signed);
+        let word_end = self.identifier_end(word_start);
+        match self.slice(word_start, word_end).as_str() {
+            "Infinity" => {}
+            "NaN" if !signed => {}
+            _ => return None,
+        }
+        let number = self.slice(self.position, word_end);
+        self.rewind(word_end);
+        Some(Token::Number(number))
+    }
+    
+    // A hexadecimal integer like `0x1F`, with an optional sign, as a decimal number
+    fn read_hex_number(&mut self) -> Option<Token> {
+        let signed = matches!(self.current_char, Some('-') | Some('+'));
+        let zero = self.position + usize::from(signed);
+        if self.input.get(zero) != Some(&'0') || !matches!(self.input.get(zero + 1), Some('x') | Some('X')) {
+            return None;
+        }
+        let end = (zero + 2..self.input.len()).find(|&i| !self.input[i].is_ascii_hexdigit()).unwrap_or(self.input.len());
+        let value = u128::from_str_radix(&self.slice(zero + 2, end), 16).ok()?;
+        let number = if self.current_char == Some('-') { format!("-{}", value) } else { value.to_string() };
+        self.log("hex_number", self.position, self.slice(self.position, end), number.clone());
+        self.rewind(end);
+        Some(Token::Number(number))
+    }
+    
+    // End of the identifier starting at `start` (`start` itself if there is none)
+    fn identifier_end(&self, start: usize) -> usize {
+        let mut end = start;
+        while self.input.get(end).is_some_and(|&c| c.is_alphanumeric() || c == '_' || c == '$') {
+            end += 1;
+        }
+        end
+    }
+    
+    // Where the statement or call wrapping a value ends, if one starts at the
+    // current position: `const data =`, `export default`, `module.exports =` or
+    // `callback(`. The flag is set for a call, whose `)` is still to come.
+    fn js_wrapper_end(&self) -> Option<(usize, bool)> {
+        let skip_spaces = |mut i: usize| {
+            while self.input.get(i).is_some_and(|c| c.is_whitespace()) {
+                i += 1;
+            }
+            i
+        };
+        let word = |i: usize| self.slice(i, self.identifier_end(i));
+        
+        let mut start = self.position;
+        if word(start) == "export" {
+            start = skip_spaces(self.identifier_end(start));
+            if word(start) == "default" {
+                return Some((self.identifier_end(start), false));
+            }
+        }
+        if matches!(word(start).as_str(), "const" | "let" | "var") {
+            start = skip_spaces(self.identifier_end(start));
+        }
+        
+        // A name, which may be dotted
+        let mut end = self.identifier_end(start);
+        if end == start {
+            return None;
+        }
+        while self.input.get(end) == Some(&'.') {
+            let next = self.identifier_end(end + 1);
+            if next == end + 1 {
+                return None;
+            }
+            end = next;
+        }
+        
+        let end = skip_spaces(end);
+        match self.input.get(end) {
+            Some('=') if self.input.get(end + 1) != Some(&'=') => Some((end + 1, false)),
+            Some('(') => Some((end + 1, true)),
+            _ => None,
+        }
+    }
+    
+    // Tokens only python syntax has, or None to read the current char as JSON
+    fn read_python(&mut self) -> Option<Token> {
+        let ch = self.current_char?;
+        let token = match ch {
+            '(' | ')' => {
+                let token = if ch == '(' { Token::LeftBracket } else { Token::RightBracket };
+                let after = if ch == '(' { "[" } else { "]" };
+                self.log("python_tuple", self.position, ch.to_string(), after.to_string());
+                token
+            }
+            '{' => {
+                let set = self.brace_starts_set();
+                self.sets.push(set);
+                if !set {
+                    return None;
+                }
+                self.log("python_set", self.position, "{".to_string(), "[".to_string());
+                Token::LeftBracket
+            }
+            '}' => {
+                if self.sets.pop() != Some(true) {
+                    return None;
+                }
+                self.log("python_set", self.position, "}".to_string(), "]".to_string());
+                Token::RightBracket
+            }
+            '"' | '\'' if self.input.get(self.position..self.position + 3) == Some(&[ch; 3]) => {
+                return Some(Token::String(self.read_python_string(false)));
+            }
+            '-' if self.slice(self.position + 1, self.identifier_end(self.position + 1)) == "inf" => {
+                self.rewind(self.position + 4);
+                return Some(Token::Number("-Infinity".to_string()));
+            }
+            _ if ch.is_alphabetic() || ch == '_' => {
+                let end = self.identifier_end(self.position);
+                let word = self.slice(self.position, end);
+                let prefix = word.len() <= 2 && word.chars().all(|c| "rRbBuUfF".contains(c));
+                if prefix && matches!(self.input.get(end), Some('"') | Some('\'')) {
+                    self.rewind(end);
+                    return Some(Token::String(self.read_python_string(word.contains(['r', 'R']))));
+                }
+                if let Some(token) = self.read_python_call() {
+                    return Some(token);
+                }
+                // float('nan') and float('inf') as repr() writes them
+                let number = match word.as_str() {
+                    "nan" => "NaN",
+                    "inf" => "Infinity",
+                    _ => return None,
+                };
+                self.rewind(end);
+                return Some(Token::Number(number.to_string()));
+            }
+            _ => return None,
+        };
+        // A bracket
+        self.advance();
+        if matches!(token, Token::LeftBracket) {
+            self.brackets.push(true);
+        } else {
+            self.brackets.pop();
+        }
+        Some(token)
+    }
+    
+    // Whether the `{` at the current position opens a set: its first item is
+    // followed by `,` or `}` rather than `:`. `{}` is an empty dict, and so is
+    // a first item too long to look past.
+    fn brace_starts_set(&self) -> bool {
+        let mut depth = 0;
+        let mut quote = None;
+        let mut empty = true;
+        let mut i = self.position + 1;
+        let limit = self.input.len().min(i + LOOKAHEAD_LIMIT);
+        while let Some(&c) = self.input[..limit].get(i) {
+            if let Some(q) = quote {
+                if c == '\\' {
+                    i += 1;
+                } else if c == q {
+                    quote = None;
+                }
+            } else {
+                match c {
+                    '"' | '\'' => quote = Some(c),
+                    '(' | '[' | '{' => depth += 1,
+                    ')' | ']' | '}' if depth > 0 => depth -= 1,
+                    ':' if depth == 0 => return false,
+                    ',' | '}' if depth == 0 => return !empty,
+                    _ => {}
+                }
+                empty = empty && c.is_whitespace();
+            }
+            i += 1;
+        }
+        false
+    }
+    
+    // Read a Python string at its opening quote, after any prefix. Triple
+    // quotes end only at three quotes; raw strings keep their backslashes.
+    fn read_python_string(&mut self, raw: bool) -> String {
+        let quote = self.current_char.unwrap_or('"');
+        let triple = self.input.get(self.position..self.position + 3) == Some(&[quote; 3]);
+        let value = if !triple && !raw {
+            self.read_string(quote)
+        } else {
+            let delimiter = if triple { 3 } else { 1 };
+            self.rewind(self.position + delimiter);
+            let mut result = String::new();
+            let mut closed = false;
+            while let Some(ch) = self.next_char() {
+                if self.input.get(self.position..self.position + delimiter).is_some_and(|d| d.iter().all(|&c| c == quote)) {
+                    self.rewind(self.position + delimiter);
+                    closed = true;
+                    break;
+                } else if ch == '\\' && raw {
+                    // The backslash is kept, and keeps a quote after it from closing the string
+                    result.extend(self.input[self.position..(self.position + 2).min(self.input.len())].iter());
+                    self.rewind(self.position + 2);
+                } else if ch == '\\' {
+                    self.read_escape(quote, &mut result);
+                } else {
+                    result.push(ch);
+                    self.advance();
+                }
+            }
+            self.unterminated = !closed;
+            if !closed {
+                self.log("unterminated_string", self.position, String::new(), quote.to_string().repeat(delimiter));
+            }
+            result
+        };
+        
+        if self.logging {
+            let before = self.slice(self.token_start, self.position);
+            let after = format!("\"{}\"", escape_string_for_json(&value, false));
+            self.log("python_string", self.token_start, before, after);
+        }
+        value
+    }
+    
+    // The value of a call repr() writes for numbers and dates: Decimal(...),
+    // float(...) and datetime's date(...), time(...) and datetime(...)
+    fn read_python_call(&mut self) -> Option<Token> {
+        let start = self.position;
+        let mut name_end = self.identifier_end(start);
+        while self.input.get(name_end) == Some(&'.') && self.identifier_end(name_end + 1) > name_end + 1 {
+            name_end = self.identifier_end(name_end + 1);
+        }
+        if self.input.get(name_end) != Some(&'(') {
+            return None;
+        }
+        let name = self.slice(start, name_end);
+        let kind = name.rsplit('.').next().unwrap_or_default();
+        if !matches!(kind, "Decimal" | "float" | "date" | "time" | "datetime") {
+            return None;
+        }
+        
+        // Arguments up to the matching `)`, split at top-level commas. Calls
+        // longer than the lookahead limit are left alone.
+        let mut args = Vec::new();
+        let mut depth = 0;
+        let mut quote = None;
+        let mut arg_start = name_end + 1;
+        let mut end = None;
+        let mut i = name_end;
+        let limit = self.input.len().min(name_end + LOOKAHEAD_LIMIT);
+        while i < limit {
+            let c = self.input[i];
+            if let Some(q) = quote {
+                if c == '\\' {
+                    i += 1;
+                } else if c == q {
+                    quote = None;
+                }
+                i += 1;
+                continue;
+            }
+            match c {
+                '"' | '\'' => quote = Some(c),
+                '(' => depth += 1,
+                ')' => {
+                    depth -= 1;
+                    if depth == 0 {
+                        end = Some(i);
+                        break;
+                    }
+                }
+                ',' if depth == 1 => {
+                    args.push(self.slice(arg_start, i).trim().to_string());
+                    arg_start = i + 1;
+                }
+                _ => {}
+            }
+            i += 1;
+        }
+        let end = end?;
+        args.push(self.slice(arg_start, end).trim().to_string());
+        args.retain(|arg| !arg.is_empty());
+        
+        let token = match kind {
+            "Decimal" | "float" => {
+                let [arg] = args.as_slice() else {
+                    return None;
+                };
+                let text = arg.trim_matches(['\'', '"']);
+                let number = match text.to_ascii_lowercase().as_str() {
+                    "nan" => "NaN".to_string(),
+                    "inf" | "infinity" | "+inf" | "+infinity" => "Infinity".to_string(),
+                    "-inf" | "-infinity" => "-Infinity".to_string(),
+                    _ if text.parse::<f64>().is_ok() => text.to_string(),
+                    _ => return None,
+                };
+                Token::Number(number)
+            }
+            kind @ ("date" | "time" | "datetime") => Token::String(python_datetime(kind, &args)?),
+            _ => return None,
+        };
+        
+        self.rewind(end + 1);
+        if self.logging {
+            let after = match &token {
+                Token::String(s) => format!("\"{}\"", escape_string_for_json(s, false)),
+                Token::Number(n) => n.clone(),
+                _ => String::new(),
+            };
+            self.log("python_call", start, self.slice(start, end + 1), after);
+        }
+        Some(token)
+    }
+    
+    // In js syntax, append the strings joined to the one just read with `+`
+    fn join_strings(&mut self, mut value: String) -> String {
+        if self.syntax != Syntax::Js {
+            return value;
+        }
+        
+        let mut joined = false;
+        while !self.unterminated {
+            let plus = (self.position..self.input.len()).find(|&i| !self.input[i].is_whitespace());
+            let Some(plus) = plus.filter(|&i| self.input[i] == '+') else {
+                break;
+            };
+            let next = (plus + 1..self.input.len()).find(|&i| !self.input[i].is_whitespace());
+            let Some(next) = next.filter(|&i| matches!(self.input[i], '"' | '\'' | '`')) else {
+                break;
+            };
+            let quote = self.input[next];
+            self.rewind(next);
+            value.push_str(&self.read_string(quote));
+            joined = true;
+        }
+        
+        if joined && self.logging {
+            let before = self.slice(self.token_start, self.position);
+            let after = format!("\"{}\"", escape_string_for_json(&value, false));
+            self.log("string_concatenation", self.token_start, before, after);
+        }
+        value
+    }
+    
     fn next_token(&mut self) -> Token {
-        self.skip_whitespace();
+        let complete = self.skip_whitespace();
+        self.token_start = self.position;
+        self.unterminated = false;
+        if !complete {
+            // Wait for the rest of the comment
+            return Token::EOF;
+        }
+        
+        let special = match self.syntax {
+            Syntax::Json => None,
+            Syntax::Js => self.read_js(),
+            Syntax::Python => self.read_python(),
+            Syntax::Json5 => self.read_non_finite().or_else(|| self.read_hex_number()),
+        };
+        if let Some(token) = special {
+            return token;
+        }
         
         match self.current_char {
             None => Token::EOF,
             Some('{') => {
                 self.advance();
+                self.brackets.push(false);
                 Token::LeftBrace
             }
             Some('}') => {
                 self.advance();
+                self.brackets.pop();
                 Token::RightBrace
             }
             Some('[') => {
                 self.advance();
+                self.brackets.push(true);
                 Token::LeftBracket
             }
             Some(']') => {
                 self.advance();
+                self.brackets.pop();
                 Token::RightBracket
             }
             Some(',') => {
@@ -238,20 +1082,47 @@ impl Lexer {
                 self.advance();
                 Token::Colon
             }
-            Some('"') => Token::String(self.read_string('"')),
-            Some('\'') => Token::String(self.read_string('\'')),
+            Some('"') => {
+                let value = self.read_string('"');
+                Token::String(self.join_strings(value))
+            }
+            Some('\'') => {
+                let value = self.read_string('\'');
+                if self.logging {
+                    let before = self.slice(self.token_start, self.position);
+                    let after = format!("\"{}\"", escape_string_for_json(&value, false));
+                    self.log("single_quotes", self.token_start, before, after);
+                }
+                Token::String(self.join_strings(value))
+            }
             Some('-') | Some('0'..='9') => Token::Number(self.read_number()),
             Some(_) => {
                 // Try to read as unquoted string/keyword
-                let word = self.read_unquoted_string();
+                let mut word = self.read_unquoted_string();
+                if self.syntax == Syntax::Json5 && word.contains("\\u") {
+                    // Identifiers may spell characters as \uXXXX
+                    word = decode_unicode_escapes(&word);
+                }
                 
                 match word.as_str() {
                     "true" => Token::True,
                     "false" => Token::False,
                     "null" => Token::Null,
-                    "True" => Token::True,  // Python boolean
-                    "False" => Token::False, // Python boolean
-                    "None" => Token::Null,   // Python None
+                    "True" => {
+                        // Python boolean
+                        self.log("python_literal", self.token_start, word, "true".to_string());
+                        Token::True
+                    }
+                    "False" => {
+                        // Python boolean
+                        self.log("python_literal", self.token_start, word, "false".to_string());
+                        Token::False
+                    }
+                    "None" => {
+                        // Python None
+                        self.log("python_literal", self.token_start, word, "null".to_string());
+                        Token::Null
+                    }
                     _ => {
                         // Check if it looks like a number
                         if word.chars().all(|c| c.is_ascii_digit() || c == '.' || c == '-' || c == 'e' || c == 'E' || c == '+') {
@@ -270,63 +1141,608 @@ impl Lexer {
     }
 }
 
+// `text` with its \uXXXX escapes replaced by the characters they stand for
+fn decode_unicode_escapes(text: &str) -> String {
+    let mut result = String::with_capacity(text.len());
+    let mut rest = text;
+    while let Some(at) = rest.find("\\u") {
+        result.push_str(&rest[..at]);
+        let hex = rest.get(at + 2..at + 6).filter(|hex| hex.chars().all(|c| c.is_ascii_hexdigit()));
+        match hex.and_then(|hex| u32::from_str_radix(hex, 16).ok()).and_then(char::from_u32) {
+            Some(ch) => {
+                result.push(ch);
+                rest = &rest[at + 6..];
+            }
+            None => {
+                result.push_str("\\u");
+                rest = &rest[at + 2..];
+            }
+        }
+    }
+    result.push_str(rest);
+    result
+}
+
+// ISO 8601 text for the arguments of Python's date(), time() or datetime(),
+// as isoformat() writes it. A tzinfo other than UTC is left out.
+fn python_datetime(kind: &str, args: &[String]) -> Option<String> {
+    let mut fields = Vec::new();
+    let mut utc = false;
+    for arg in args {
+        match arg.split_once('=') {
+            Some((name, value)) if name.trim() == "tzinfo" => utc = value.to_ascii_lowercase().contains("utc"),
+            // fold= and the like don't change the text
+            Some(_) => {}
+            None => fields.push(arg.parse::<u32>().ok()?),
+        }
+    }
+    
+    let time = |fields: &[u32]| {
+        let field = |i: usize| fields.get(i).copied().unwrap_or(0);
+        let mut text = format!("{:02}:{:02}:{:02}", field(0), field(1), field(2));
+        if field(3) > 0 {
+            text.push_str(&format!(".{:06}", field(3)));
+        }
+        text
+    };
+    let mut text = match (kind, fields.len()) {
+        ("date", 3) => format!("{:04}-{:02}-{:02}", fields[0], fields[1], fields[2]),
+        ("time", 0..=4) => time(&fields),
+        ("datetime", 3..=7) => format!("{:04}-{:02}-{:02}T{}", fields[0], fields[1], fields[2], time(&fields[3..])),
+        _ => return None,
+    };
+    if utc && kind != "date" {
+        text.push_str("+00:00");
+    }
+    Some(text)
+}
+
+// Stops a parse from another thread, or once a deadline has passed
+#[derive(Clone)]
+struct Interrupt {
+    cancelled: Arc<AtomicBool>,
+    // The deadline and the timeout it was set from, for the message
+    deadline: Option<(Instant, u32)>,
+}
+
+impl Interrupt {
+    fn check(&self) -> Option<Error> {
+        if self.cancelled.load(Ordering::Relaxed) {
+            return Some(Error::new(Status::Cancelled, "Repair was aborted".to_string()));
+        }
+        match self.deadline {
+            Some((deadline, timeout_ms)) if Instant::now() >= deadline => Some(Error::new(
+                Status::GenericFailure,
+                format!("Repair timed out after {} ms", timeout_ms),
+            )),
+            _ => None,
+        }
+    }
+}
+
+// Checks an Interrupt from the loops of a repair, reading the clock only
+// every 1024 steps. Once it fires, every later step stops too.
+#[derive(Default)]
+struct Watch {
+    interrupt: Option<Interrupt>,
+    steps: Cell<usize>,
+    stopped: RefCell<Option<Error>>,
+}
+
+impl Watch {
+    fn new(interrupt: Option<Interrupt>) -> Self {
+        Watch { interrupt, ..Watch::default() }
+    }
+    
+    // Count one step, and say whether to stop
+    #[inline]
+    fn tick(&self) -> bool {
+        let Some(interrupt) = &self.interrupt else {
+            return false;
+        };
+        let steps = self.steps.get() + 1;
+        self.steps.set(steps);
+        if steps % 1024 == 1 && self.stopped.borrow().is_none() {
+            *self.stopped.borrow_mut() = interrupt.check();
+        }
+        self.stopped.borrow().is_some()
+    }
+    
+    // Why the repair was stopped, if it was
+    fn take_stopped(&self) -> Option<Error> {
+        self.stopped.borrow_mut().take()
+    }
+}
+
+// What becomes of a container nested deeper than the depth limit
+#[derive(Debug, Clone, Copy, PartialEq)]
+enum DepthPolicy {
+    Null,
+    // The container's input text, as a string
+    Raw,
+    Throw,
+}
+
+impl DepthPolicy {
+    fn parse(policy: &str) -> Result<Self> {
+        match policy {
+            "null" => Ok(DepthPolicy::Null),
+            "raw" => Ok(DepthPolicy::Raw),
+            "throw" => Ok(DepthPolicy::Throw),
+            _ => Err(Error::new(
+                Status::InvalidArg,
+                format!("onMaxDepth must be one of null, raw, throw, got {}", policy),
+            )),
+        }
+    }
+}
+
+// The language the input is read as, on top of what every syntax repairs
+#[derive(Debug, Clone, Copy, PartialEq)]
+enum Syntax {
+    Json,
+    // JavaScript object literals, and the statements that wrap them
+    Js,
+    // What Python's repr() writes for built-in values
+    Python,
+    Json5,
+}
+
+impl Syntax {
+    fn parse(syntax: &str) -> Result<Self> {
+        match syntax {
+            "json" => Ok(Syntax::Json),
+            "js" => Ok(Syntax::Js),
+            "python" => Ok(Syntax::Python),
+            "json5" => Ok(Syntax::Json5),
+            _ => Err(Error::new(
+                Status::InvalidArg,
+                format!("syntax must be one of json, js, python, json5, got {}", syntax),
+            )),
+        }
+    }
+}
+
+// What becomes of a `\uXXXX` escape of half a surrogate pair
+#[derive(Debug, Clone, Copy, PartialEq)]
+enum LoneSurrogates {
+    // U+FFFD
+    Replace,
+    // The escape, as text
+    Escape,
+    Drop,
+}
+
+impl LoneSurrogates {
+    fn parse(policy: &str) -> Result<Self> {
+        match policy {
+            "replace" => Ok(LoneSurrogates::Replace),
+            "escape" => Ok(LoneSurrogates::Escape),
+            "drop" => Ok(LoneSurrogates::Drop),
+            _ => Err(Error::new(
+                Status::InvalidArg,
+                format!("loneSurrogates must be one of replace, escape, drop, got {}", policy),
+            )),
+        }
+    }
+}
+
+// What becomes of NaN and Infinity, which JSON has no numbers for
+#[derive(Debug, Clone, Copy, PartialEq)]
+enum NonFinite {
+    Null,
+    // Their names, as strings
+    String,
+    Error,
+}
+
+impl NonFinite {
+    fn parse(policy: &str) -> Result<Self> {
+        match policy {
+            "null" => Ok(NonFinite::Null),
+            "string" => Ok(NonFinite::String),
+            "error" => Ok(NonFinite::Error),
+            _ => Err(Error::new(
+                Status::InvalidArg,
+                format!("nonFiniteNumbers must be one of null, string, error, got {}", policy),
+            )),
+        }
+    }
+}
+
+// Which value a key that appears more than once keeps
+#[derive(Debug, Clone, Copy, PartialEq)]
+enum DuplicateKeys {
+    Last,
+    First,
+    Error,
+    // All of them, in an array
+    Array,
+}
+
+impl DuplicateKeys {
+    fn parse(policy: &str) -> Result<Self> {
+        match policy {
+            "last" => Ok(DuplicateKeys::Last),
+            "first" => Ok(DuplicateKeys::First),
+            "error" => Ok(DuplicateKeys::Error),
+            "array" => Ok(DuplicateKeys::Array),
+            _ => Err(Error::new(
+                Status::InvalidArg,
+                format!("duplicateKeys must be one of last, first, error, array, got {}", policy),
+            )),
+        }
+    }
+}
+
+// Resource limits from the options; None means unlimited. Lengths count
+// UTF-16 code units, as JS does.
+#[derive(Debug, Clone, Copy, Default)]
+struct Limits {
+    max_input_length: Option<usize>,
+    max_string_length: Option<usize>,
+    // Keys of one object or items of one array
+    max_items: Option<usize>,
+    max_tokens: Option<usize>,
+}
+
+impl Limits {
+    fn from_options(options: &RepairOptions) -> Self {
+        Limits {
+            max_input_length: options.max_input_length.map(|max| max as usize),
+            max_string_length: options.max_string_length.map(|max| max as usize),
+            max_items: options.max_items.map(|max| max as usize),
+            max_tokens: options.max_tokens.map(|max| max as usize),
+        }
+    }
+    
+    // Fail before the input is split into chars if it is too long. The
+    // failure only carries the input up to the limit.
+    fn check_input(&self, input: &str) -> std::result::Result<(), RepairFailure> {
+        let Some(max) = self.max_input_length else {
+            return Ok(());
+        };
+        let mut length = 0;
+        for (position, ch) in input.chars().enumerate() {
+            length += ch.len_utf16();
+            if length > max {
+                let source: Vec<char> = input.chars().take(position + 1).collect();
+                let message = format!("Input is longer than maxInputLength ({})", max);
+                let error = ParseError { code: "MAX_INPUT_LENGTH", message, position };
+                return Err(RepairFailure::new(&source, error, 0));
+            }
+        }
+        Ok(())
+    }
+}
+
 struct Parser {
-    tokens: VecDeque<Token>,
+    lexer: Lexer,
     current_token: Token,
+    current_span: Span,
+    // End of the last consumed token
+    previous_end: usize,
     depth: usize,
     max_depth: usize,
+    depth_policy: DepthPolicy,
+    limits: Limits,
+    duplicate_keys: DuplicateKeys,
+    non_finite: NonFinite,
+    // The first limit broken; parsing stops there as at the end of the input
+    exceeded: Option<ParseError>,
+    // Fail with NO_VALUE when the input holds no JSON value, for onError: 'throw'
+    require_value: bool,
+    // Emit numbers as written instead of normalizing them
+    preserve_numbers: bool,
+    logging: bool,
+    // Fixes found by the parser; the lexer keeps its own
+    repairs: Vec<Repair>,
+    // Tokens consumed so far
+    steps: usize,
+    // Where each value was read from, by JSON Pointer, when asked for
+    spans: Option<Vec<(String, Span)>>,
+    // Keys and indices leading to the value being parsed, kept with `spans`
+    path: Vec<String>,
 }
 
 impl Parser {
-    fn new(input: &str) -> Self {
-        let mut lexer = Lexer::new(input);
-        let mut tokens = VecDeque::new();
+    fn new(input: &str, logging: bool) -> Self {
+        Parser::watched(input, logging, Watch::default())
+    }
+    
+    // A parser that `watch` can stop, from the first token on
+    fn watched(input: &str, logging: bool, watch: Watch) -> Self {
+        let mut lexer = Lexer::new(input, logging);
+        lexer.watch = watch;
+        let current_token = lexer.next_token();
+        let current_span = Span { start: lexer.token_start, end: lexer.position };
         
-        loop {
-            let token = lexer.next_token();
-            if token == Token::EOF {
-                tokens.push_back(token);
-                break;
+        Parser {
+            lexer,
+            current_token,
+            current_span,
+            previous_end: 0,
+            depth: 0,
+            max_depth: 1000,
+            depth_policy: DepthPolicy::Null,
+            limits: Limits::default(),
+            duplicate_keys: DuplicateKeys::Last,
+            non_finite: NonFinite::Null,
+            exceeded: None,
+            require_value: false,
+            preserve_numbers: false,
+            logging,
+            repairs: Vec::new(),
+            steps: 0,
+            spans: None,
+            path: Vec::new(),
+        }
+    }
+    
+    // Take the limits and policies from the options, where given
+    fn apply_options(&mut self, options: &RepairOptions) -> Result<()> {
+        if let Some(max_depth) = options.max_depth {
+            if max_depth > MAX_DEPTH_LIMIT {
+                return Err(Error::new(
+                    Status::InvalidArg,
+                    format!("maxDepth must be at most {}, got {}", MAX_DEPTH_LIMIT, max_depth),
+                ));
+            }
+            self.max_depth = max_depth as usize;
+        }
+        if let Some(policy) = &options.on_max_depth {
+            self.depth_policy = DepthPolicy::parse(policy)?;
+        } else if options.on_error.as_deref() == Some("throw") {
+            self.depth_policy = DepthPolicy::Throw;
+        }
+        if let Some(policy) = &options.duplicate_keys {
+            self.duplicate_keys = DuplicateKeys::parse(policy)?;
+        }
+        if let Some(policy) = &options.non_finite_numbers {
+            self.non_finite = NonFinite::parse(policy)?;
+        }
+        if let Some(syntax) = &options.syntax {
+            self.lexer.syntax = Syntax::parse(syntax)?;
+        }
+        if let Some(policy) = &options.lone_surrogates {
+            self.lexer.lone_surrogates = LoneSurrogates::parse(policy)?;
+        }
+        if self.lexer.syntax != Syntax::Json || self.lexer.lone_surrogates != LoneSurrogates::Replace {
+            // The first token was read as JSON, with the default policy
+            self.lexer.restart();
+            self.current_token = self.lexer.next_token();
+            self.current_span = Span { start: self.lexer.token_start, end: self.lexer.position };
+        }
+        self.limits = Limits::from_options(options);
+        // The first token was read before the limits were known
+        self.check_limits();
+        Ok(())
+    }
+    
+    // Note the first limit the current token breaks
+    fn check_limits(&mut self) {
+        if self.exceeded.is_some() || self.current_token == Token::EOF {
+            return;
+        }
+        // Counting the current token
+        let tokens = self.steps + 1;
+        if let Some(max) = self.limits.max_tokens.filter(|&max| tokens > max) {
+            let message = format!("Input has more than maxTokens ({}) tokens", max);
+            self.exceeded = Some(self.error("MAX_TOKENS", &message));
+        } else if let (Token::String(s), Some(max)) = (&self.current_token, self.limits.max_string_length) {
+            if s.encode_utf16().count() > max {
+                let message = format!("String is longer than maxStringLength ({})", max);
+                self.exceeded = Some(self.error("MAX_STRING_LENGTH", &message));
+            }
+        }
+    }
+    
+    // Items in one container are limited by max_items
+    fn check_items(&self, count: usize, what: &str) -> std::result::Result<(), ParseError> {
+        match self.limits.max_items {
+            Some(max) if count >= max => {
+                Err(self.error("MAX_ITEMS", &format!("{} has more than maxItems ({}) entries", what, max)))
+            }
+            _ => Ok(()),
+        }
+    }
+    
+    #[inline]
+    fn advance(&mut self) {
+        self.previous_end = self.current_span.end;
+        self.steps += 1;
+        
+        if self.lexer.watch.tick() || self.exceeded.is_some() {
+            // Unwind as if the input ended here
+            let end = self.lexer.input.len();
+            self.current_token = Token::EOF;
+            self.current_span = Span { start: end, end };
+            return;
+        }
+        
+        self.current_token = self.lexer.next_token();
+        self.current_span = Span { start: self.lexer.token_start, end: self.lexer.position };
+        self.check_limits();
+    }
+    
+    // All fixes applied so far, the lexer's first
+    fn take_repairs(&mut self) -> Vec<Repair> {
+        let mut repairs = std::mem::take(&mut self.lexer.repairs);
+        repairs.append(&mut self.repairs);
+        repairs
+    }
+    
+    fn log(&mut self, kind: &'static str, position: usize, before: String, after: String) {
+        if self.logging {
+            self.repairs.push(Repair { kind, position, before, after });
+        }
+    }
+    
+    fn error(&self, code: &'static str, message: &str) -> ParseError {
+        ParseError { code, message: message.to_string(), position: self.current_span.start }
+    }
+    
+    // Parse the value at `key` of the current container
+    fn parse_member(&mut self, key: &str) -> std::result::Result<serde_json::Value, ParseError> {
+        if self.spans.is_none() {
+            return self.parse_value();
+        }
+        self.path.push(key.to_string());
+        let value = self.parse_value();
+        self.path.pop();
+        value
+    }
+    
+    // Log a fix that replaces the whole current token
+    fn log_token(&mut self, kind: &'static str, after: String) {
+        if self.logging {
+            let span = self.current_span;
+            let before = self.lexer.slice(span.start, span.end);
+            self.log(kind, span.start, before, after);
+        }
+    }
+    
+    // Whether a string token was written as one, rather than as a bare word.
+    // A python call such as `datetime.date(2024, 1, 1)` counts as written as
+    // one, since the lexer has already logged it as a call.
+    fn is_quoted(&self, span: Span) -> bool {
+        let mut start = span.start;
+        if self.lexer.syntax == Syntax::Python {
+            let mut logged = self.lexer.repairs.iter().rev().take_while(|repair| repair.position >= span.start);
+            if logged.any(|repair| repair.kind == "python_call" && repair.position == span.start) {
+                return true;
+            }
+            // Past a string prefix like r or b
+            let text = &self.lexer.input[span.start..span.end];
+            start += text.iter().take(2).take_while(|c| "rRbBuUfF".contains(**c)).count();
+        }
+        matches!(self.lexer.input.get(start), Some('"') | Some('\'') | Some('`'))
+    }
+    
+    // Skip runs of commas, logging each one as removed
+    fn skip_extra_commas(&mut self) {
+        while self.current_token == Token::Comma {
+            self.log("extra_comma", self.current_span.start, ",".to_string(), String::new());
+            self.advance();
+        }
+    }
+    
+    fn parse(&mut self) -> std::result::Result<serde_json::Value, ParseError> {
+        let start = self.current_span.start;
+        let starts_value = !matches!(
+            self.current_token,
+            Token::RightBrace | Token::RightBracket | Token::Comma | Token::Colon | Token::EOF
+        );
+        let bare = matches!(self.current_token, Token::String(_)) && !self.is_quoted(self.current_span);
+        let value = self.parse_value()?;
+        
+        // Nothing that starts a value, or bare text with more input after it
+        let no_value = !starts_value || (bare && self.current_token != Token::EOF);
+        if self.require_value && no_value && self.exceeded.is_none() {
+            return Err(ParseError { code: "NO_VALUE", message: "No JSON value found".to_string(), position: start });
+        }
+        
+        if self.current_token != Token::EOF {
+            // Anything after the first complete value is dropped
+            let start = self.current_span.start;
+            if self.logging {
+                let rest = self.lexer.slice(start, self.lexer.input.len());
+                self.log("trailing_content", start, rest.trim_end().to_string(), String::new());
+            }
+            // Read it anyway, for its comments
+            while self.current_token != Token::EOF {
+                self.advance();
             }
-            tokens.push_back(token);
         }
         
-        let current_token = tokens.pop_front().unwrap_or(Token::EOF);
-        
-        Parser {
-            tokens,
-            current_token,
-            depth: 0,
-            max_depth: 1000,
+        match self.exceeded.take() {
+            Some(error) => Err(error),
+            None => Ok(value),
         }
     }
     
-    #[inline]
-    fn advance(&mut self) {
-        self.current_token = self.tokens.pop_front().unwrap_or(Token::EOF);
+    // Parse top-level values until EOF, with the span each was read from. A
+    // document that fails ends the list and spans the rest of the input.
+    fn parse_all(&mut self) -> Vec<(std::result::Result<serde_json::Value, ParseError>, Span)> {
+        let mut documents = Vec::new();
+        
+        loop {
+            // Skip separators and stray closing tokens between documents
+            loop {
+                match self.current_token {
+                    Token::Comma => self.advance(),
+                    Token::Colon | Token::RightBrace | Token::RightBracket => {
+                        self.log_token("unexpected_token", String::new());
+                        self.advance();
+                    }
+                    _ => break,
+                }
+            }
+            if let Some(error) = self.exceeded.take() {
+                let end = self.lexer.input.len();
+                documents.push((Err(error), Span { start: end, end }));
+                break;
+            }
+            if self.current_token == Token::EOF {
+                break;
+            }
+            
+            let start = self.current_span.start;
+            let result = match (self.parse_value(), self.exceeded.take()) {
+                (_, Some(error)) => Err(error),
+                (result, None) => result,
+            };
+            let failed = result.is_err();
+            let end = if failed { self.lexer.input.len() } else { self.previous_end };
+            documents.push((result, Span { start, end }));
+            if failed {
+                break;
+            }
+        }
+        
+        documents
     }
     
-    fn parse(&mut self) -> std::result::Result<serde_json::Value, String> {
-        self.parse_value()
+    fn parse_value(&mut self) -> std::result::Result<serde_json::Value, ParseError> {
+        let start = self.current_span.start;
+        let value = self.read_value()?;
+        if let Some(spans) = &mut self.spans {
+            // A value filled in at the end of the input has an empty span there
+            let end = self.previous_end.max(start);
+            spans.push((schema::pointer(&self.path), Span { start, end }));
+        }
+        Ok(value)
     }
     
-    fn parse_value(&mut self) -> std::result::Result<serde_json::Value, String> {
+    fn read_value(&mut self) -> std::result::Result<serde_json::Value, ParseError> {
         match &self.current_token {
+            Token::LeftBrace | Token::LeftBracket if self.depth >= self.max_depth => self.parse_too_deep(),
             Token::LeftBrace => self.parse_object(),
             Token::LeftBracket => self.parse_array(),
             Token::String(s) => {
-                let val = serde_json::Value::String(s.clone());
+                let s = s.clone();
+                if self.logging && !self.is_quoted(self.current_span) {
+                    self.log_token("unquoted_string", format!("\"{}\"", escape_string_for_json(&s, false)));
+                }
                 self.advance();
-                Ok(val)
+                Ok(serde_json::Value::String(s))
+            }
+            Token::Number(n) if NON_FINITE.contains(&n.as_str()) => {
+                let n = n.clone();
+                self.read_non_finite(&n)
             }
             Token::Number(n) => {
-                let val = n.parse::<f64>()
-                    .ok()
-                    .and_then(serde_json::Number::from_f64)
-                    .map(serde_json::Value::Number)
-                    .unwrap_or(serde_json::Value::Null);
+                let n = n.clone();
+                let val = if self.preserve_numbers { literal_number_value(&n) } else { number_value(&n) };
+                if self.logging {
+                    match &val {
+                        Some(_) if is_json_number(&n) => {}
+                        Some(fixed) => self.log_token("invalid_number", fixed.to_string()),
+                        None => self.log_token("invalid_number", "null".to_string()),
+                    }
+                }
                 self.advance();
-                Ok(val)
+                Ok(val.unwrap_or(serde_json::Value::Null))
             }
             Token::True => {
                 self.advance();
@@ -340,45 +1756,109 @@ impl Parser {
                 self.advance();
                 Ok(serde_json::Value::Null)
             }
-            Token::EOF => Ok(serde_json::Value::Null),
+            Token::EOF => {
+                self.log("missing_value", self.current_span.start, String::new(), "null".to_string());
+                Ok(serde_json::Value::Null)
+            }
             _ => {
                 // Unexpected token, try to recover
+                self.log_token("unexpected_token", "null".to_string());
                 self.advance();
                 Ok(serde_json::Value::Null)
             }
         }
     }
     
-    fn parse_object(&mut self) -> std::result::Result<serde_json::Value, String> {
-        self.depth += 1;
-        if self.depth > self.max_depth {
-            return Err("Maximum nesting depth exceeded".to_string());
+    // NaN or Infinity, as non_finite says
+    fn read_non_finite(&mut self, n: &str) -> std::result::Result<serde_json::Value, ParseError> {
+        let value = match self.non_finite {
+            NonFinite::Null => serde_json::Value::Null,
+            NonFinite::String => serde_json::Value::String(n.trim_start_matches('+').to_string()),
+            NonFinite::Error => return Err(self.error("NON_FINITE_NUMBER", &format!("{} is not a JSON number", n))),
+        };
+        self.log_token("non_finite_number", format_json_value(&value, &Format::default(), 0, &self.lexer.watch));
+        self.advance();
+        Ok(value)
+    }
+    
+    // Skip a container past the depth limit up to its matching close, and
+    // stand in for it as depth_policy says. The rest of the document is kept.
+    fn parse_too_deep(&mut self) -> std::result::Result<serde_json::Value, ParseError> {
+        if self.depth_policy == DepthPolicy::Throw {
+            return Err(self.error("MAX_DEPTH", "Maximum nesting depth exceeded"));
+        }
+        
+        let start = self.current_span.start;
+        let mut open = 0;
+        while self.current_token != Token::EOF {
+            match self.current_token {
+                Token::LeftBrace | Token::LeftBracket => open += 1,
+                Token::RightBrace | Token::RightBracket => open -= 1,
+                _ => {}
+            }
+            self.advance();
+            if open == 0 {
+                break;
+            }
+        }
+        let end = self.previous_end;
+        // Fixes inside were never applied
+        self.lexer.repairs.retain(|repair| repair.position < start || repair.position >= end);
+        
+        let value = match self.depth_policy {
+            DepthPolicy::Raw => serde_json::Value::String(self.lexer.slice(start, end)),
+            _ => serde_json::Value::Null,
+        };
+        if self.logging {
+            let after = format_json_value(&value, &Format::default(), 0, &self.lexer.watch);
+            self.log("max_depth", start, self.lexer.slice(start, end), after);
         }
+        Ok(value)
+    }
+    
+    fn parse_object(&mut self) -> std::result::Result<serde_json::Value, ParseError> {
+        self.depth += 1;
         
+        let start = self.current_span.start;
         let mut object = serde_json::Map::new();
+        // Keys whose values duplicate_keys: 'array' has collected
+        let mut collected = HashSet::new();
         self.advance(); // consume '{'
         
         // Skip any leading commas
-        while self.current_token == Token::Comma {
-            self.advance();
-        }
+        self.skip_extra_commas();
         
         while self.current_token != Token::RightBrace && self.current_token != Token::EOF {
+            self.check_items(object.len(), "Object")?;
+            
             // Parse key
+            let key_start = self.current_span.start;
             let key = match &self.current_token {
                 Token::String(s) => {
                     let k = s.clone();
+                    if self.logging && !self.is_quoted(self.current_span) {
+                        self.log_token("unquoted_key", format!("\"{}\"", escape_string_for_json(&k, false)));
+                    }
                     self.advance();
                     k
                 }
                 Token::RightBrace => break,
                 Token::Comma => {
-                    self.advance();
+                    self.skip_extra_commas();
                     continue;
                 }
+                // Python dicts may have numbers, tuples and the like as keys
+                Token::Number(_) | Token::LeftBracket | Token::True | Token::False | Token::Null
+                    if self.lexer.syntax == Syntax::Python =>
+                {
+                    self.read_key_text()?
+                }
                 _ => {
                     // Try to recover by treating current token as a string key
                     let k = format!("{:?}", self.current_token);
+                    if self.logging {
+                        self.log_token("invalid_key", format!("\"{}\"", escape_string_for_json(&k, false)));
+                    }
                     self.advance();
                     k
                 }
@@ -387,73 +1867,190 @@ impl Parser {
             // Expect colon
             if self.current_token == Token::Colon {
                 self.advance();
-            } else if self.current_token != Token::EOF && self.current_token != Token::RightBrace {
+            } else {
                 // Missing colon, but continue anyway
+                self.log("missing_colon", self.current_span.start, String::new(), ":".to_string());
             }
             
             // Parse value
-            let value = self.parse_value()?;
-            object.insert(key, value);
+            if object.contains_key(&key) {
+                self.parse_duplicate(&mut object, key, key_start, start, &mut collected)?;
+            } else {
+                let value = self.parse_member(&key)?;
+                object.insert(key, value);
+            }
             
             // Handle comma
             if self.current_token == Token::Comma {
+                let comma_start = self.current_span.start;
                 self.advance();
                 // Skip multiple commas
-                while self.current_token == Token::Comma {
-                    self.advance();
+                self.skip_extra_commas();
+                if self.current_token == Token::RightBrace || self.current_token == Token::EOF {
+                    self.log("trailing_comma", comma_start, ",".to_string(), String::new());
                 }
             } else if self.current_token != Token::RightBrace && self.current_token != Token::EOF {
                 // Missing comma, but continue if not at end
+                self.log("missing_comma", self.current_span.start, String::new(), ",".to_string());
             }
         }
         
         // Consume closing brace if present
         if self.current_token == Token::RightBrace {
             self.advance();
+        } else {
+            self.log("unclosed_object", self.current_span.start, String::new(), "}".to_string());
         }
         
         self.depth -= 1;
         Ok(serde_json::Value::Object(object))
     }
     
-    fn parse_array(&mut self) -> std::result::Result<serde_json::Value, String> {
-        self.depth += 1;
-        if self.depth > self.max_depth {
-            return Err("Maximum nesting depth exceeded".to_string());
+    // Read a key that is not a string, as a value, and key it by its input text
+    fn read_key_text(&mut self) -> std::result::Result<String, ParseError> {
+        let start = self.current_span.start;
+        // Values inside the key are not values of the object
+        let spans = self.spans.take();
+        let value = self.read_value();
+        self.spans = spans;
+        value?;
+        let key = self.lexer.slice(start, self.previous_end);
+        if self.logging {
+            let after = format!("\"{}\"", escape_string_for_json(&key, false));
+            self.log("invalid_key", start, key.clone(), after);
+        }
+        Ok(key)
+    }
+    
+    // Parse the value of a key the object already has, and keep what
+    // duplicate_keys says. Each repeat is logged with the key's value after it.
+    fn parse_duplicate(
+        &mut self,
+        object: &mut serde_json::Map<String, serde_json::Value>,
+        key: String,
+        key_start: usize,
+        object_start: usize,
+        collected: &mut HashSet<String>,
+    ) -> std::result::Result<(), ParseError> {
+        if self.duplicate_keys == DuplicateKeys::Error {
+            let message = format!("Duplicate key \"{}\"", escape_string_for_json(&key, false));
+            return Err(ParseError { code: "DUPLICATE_KEY", message, position: key_start });
+        }
+        
+        let spans_before = self.spans.as_ref().map_or(0, Vec::len);
+        let value = if self.duplicate_keys == DuplicateKeys::Array && self.spans.is_some() {
+            let index = match object.get(&key) {
+                Some(serde_json::Value::Array(items)) if collected.contains(&key) => items.len(),
+                _ => {
+                    self.move_spans(&key, object_start);
+                    1
+                }
+            };
+            self.path.push(key.clone());
+            let value = self.parse_member(&index.to_string());
+            self.path.pop();
+            value?
+        } else {
+            self.parse_member(&key)?
+        };
+        
+        match self.duplicate_keys {
+            DuplicateKeys::First => {
+                if let Some(spans) = &mut self.spans {
+                    spans.truncate(spans_before);
+                }
+            }
+            DuplicateKeys::Array => {
+                if let Some(slot) = object.get_mut(&key) {
+                    if collected.insert(key.clone()) {
+                        *slot = serde_json::Value::Array(vec![slot.take(), value]);
+                    } else if let serde_json::Value::Array(items) = slot {
+                        items.push(value);
+                    }
+                }
+            }
+            _ => {
+                object.insert(key.clone(), value);
+            }
+        }
+        
+        if self.logging {
+            let before = self.lexer.slice(key_start, self.previous_end);
+            let kept = object.get(&key).map(|value| format_json_value(value, &Format::default(), 0, &self.lexer.watch)).unwrap_or_default();
+            let after = format!("\"{}\": {}", escape_string_for_json(&key, false), kept);
+            self.log("duplicate_key", key_start, before, after);
+        }
+        Ok(())
+    }
+    
+    // Move the spans of the first value of `key`, in the object starting at
+    // `object_start`, under index 0 once duplicate_keys: 'array' makes it an
+    // array. The key itself keeps the first value's span.
+    fn move_spans(&mut self, key: &str, object_start: usize) {
+        self.path.push(key.to_string());
+        let pointer = schema::pointer(&self.path);
+        self.path.pop();
+        let Some(spans) = &mut self.spans else {
+            return;
+        };
+        
+        let mut kept = None;
+        for (i, (path, span)) in spans.iter_mut().enumerate().filter(|(_, (_, span))| span.start >= object_start) {
+            let Some(rest) = path.strip_prefix(pointer.as_str()) else {
+                continue;
+            };
+            if rest.is_empty() {
+                kept = Some((i, (pointer.clone(), *span)));
+            } else if !rest.starts_with('/') {
+                continue;
+            }
+            *path = format!("{}/0{}", pointer, rest);
+        }
+        // Ahead of the moved span, so the array comes before its items
+        if let Some((i, span)) = kept {
+            spans.insert(i, span);
         }
+    }
+    
+    fn parse_array(&mut self) -> std::result::Result<serde_json::Value, ParseError> {
+        self.depth += 1;
         
         let mut array = Vec::new();
         self.advance(); // consume '['
         
         // Skip any leading commas
-        while self.current_token == Token::Comma {
-            self.advance();
-        }
+        self.skip_extra_commas();
         
         while self.current_token != Token::RightBracket && self.current_token != Token::EOF {
             if self.current_token == Token::Comma {
-                self.advance();
+                self.skip_extra_commas();
                 continue;
             }
             
-            let value = self.parse_value()?;
+            self.check_items(array.len(), "Array")?;
+            let value = self.parse_member(&array.len().to_string())?;
             array.push(value);
             
             // Handle comma
             if self.current_token == Token::Comma {
+                let comma_start = self.current_span.start;
                 self.advance();
                 // Skip multiple commas
-                while self.current_token == Token::Comma {
-                    self.advance();
+                self.skip_extra_commas();
+                if self.current_token == Token::RightBracket || self.current_token == Token::EOF {
+                    self.log("trailing_comma", comma_start, ",".to_string(), String::new());
                 }
             } else if self.current_token != Token::RightBracket && self.current_token != Token::EOF {
                 // Missing comma, but continue if not at end
+                self.log("missing_comma", self.current_span.start, String::new(), ",".to_string());
             }
         }
         
         // Consume closing bracket if present
         if self.current_token == Token::RightBracket {
             self.advance();
+        } else {
+            self.log("unclosed_array", self.current_span.start, String::new(), "]".to_string());
         }
         
         self.depth -= 1;
@@ -461,6 +2058,139 @@ impl Parser {
     }
 }
 
+// Convert a number token to a JSON number, or None if it is not representable
+fn number_value(n: &str) -> Option<serde_json::Value> {
+    // Keep the digits of integers a double can't hold
+    if is_big_integer(n) && is_json_number(n) {
+        return n.parse::<serde_json::Number>().ok().map(serde_json::Value::Number);
+    }
+    n.parse::<f64>()
+        .ok()
+        .and_then(serde_json::Number::from_f64)
+        .map(serde_json::Value::Number)
+}
+
+// Convert a number token to a JSON number written as in the input. Invalid
+// forms get the smallest fix that makes them valid, like `.5` -> `0.5`.
+fn literal_number_value(n: &str) -> Option<serde_json::Value> {
+    let text = if is_json_number(n) { n.to_string() } else { fix_number_literal(n) };
+    if is_json_number(&text) {
+        // Store the text as is: parsing it would turn `-0` into `0`
+        Some(serde_json::Value::Number(serde_json::Number::from_string_unchecked(text)))
+    } else {
+        number_value(n)
+    }
+}
+
+// Drop a `+` sign and leading zeros, and add missing digits around the point
+fn fix_number_literal(n: &str) -> String {
+    let (sign, rest) = match n.strip_prefix('-') {
+        Some(rest) => ("-", rest),
+        None => ("", n.strip_prefix('+').unwrap_or(n)),
+    };
+    let (mantissa, exponent) = rest.split_at(rest.find(['e', 'E']).unwrap_or(rest.len()));
+    let (int, fraction) = match mantissa.split_once('.') {
+        Some((int, fraction)) => (int, Some(fraction)),
+        None => (mantissa, None),
+    };
+    
+    let int = int.trim_start_matches('0');
+    let mut fixed = String::from(sign);
+    fixed.push_str(if int.is_empty() { "0" } else { int });
+    if let Some(fraction) = fraction {
+        fixed.push('.');
+        fixed.push_str(if fraction.is_empty() { "0" } else { fraction });
+    }
+    fixed.push_str(exponent);
+    fixed
+}
+
+// Whether `s` is an integer beyond JavaScript's Number.MAX_SAFE_INTEGER
+fn is_big_integer(s: &str) -> bool {
+    let digits = s.strip_prefix('-').unwrap_or(s);
+    if digits.is_empty() || !digits.bytes().all(|b| b.is_ascii_digit()) {
+        return false;
+    }
+    let digits = digits.trim_start_matches('0');
+    digits.len() > 16 || (digits.len() == 16 && digits > "9007199254740991")
+}
+
+// Whether `s` is already a valid JSON number literal
+fn is_json_number(s: &str) -> bool {
+    let bytes = s.as_bytes();
+    let mut i = 0;
+    
+    if bytes.get(i) == Some(&b'-') {
+        i += 1;
+    }
+    match bytes.get(i) {
+        Some(b'0') => i += 1,
+        Some(b'1'..=b'9') => {
+            while bytes.get(i).is_some_and(u8::is_ascii_digit) {
+                i += 1;
+            }
+        }
+        _ => return false,
+    }
+    if bytes.get(i) == Some(&b'.') {
+        i += 1;
+        if !bytes.get(i).is_some_and(u8::is_ascii_digit) {
+            return false;
+        }
+        while bytes.get(i).is_some_and(u8::is_ascii_digit) {
+            i += 1;
+        }
+    }
+    if matches!(bytes.get(i), Some(b'e') | Some(b'E')) {
+        i += 1;
+        if matches!(bytes.get(i), Some(b'+') | Some(b'-')) {
+            i += 1;
+        }
+        if !bytes.get(i).is_some_and(u8::is_ascii_digit) {
+            return false;
+        }
+        while bytes.get(i).is_some_and(u8::is_ascii_digit) {
+            i += 1;
+        }
+    }
+    
+    i == bytes.len()
+}
+
+// Converts char positions to UTF-16 offsets and 1-based line/column,
+// walking forward from the last position located
+struct Locator<'a> {
+    source: &'a [char],
+    index: usize,
+    offset: usize,
+    line: usize,
+    column: usize,
+}
+
+impl<'a> Locator<'a> {
+    fn new(source: &'a [char]) -> Self {
+        Locator { source, index: 0, offset: 0, line: 1, column: 1 }
+    }
+    
+    fn locate(&mut self, position: usize) -> (u32, u32, u32) {
+        if position < self.index {
+            *self = Locator::new(self.source);
+        }
+        while self.index < position && self.index < self.source.len() {
+            let ch = self.source[self.index];
+            self.offset += ch.len_utf16();
+            if ch == '\n' {
+                self.line += 1;
+                self.column = 1;
+            } else {
+                self.column += ch.len_utf16();
+            }
+            self.index += 1;
+        }
+        (self.offset as u32, self.line as u32, self.column as u32)
+    }
+}
+
 #[inline]
 fn escape_string_for_json(s: &str, ensure_ascii: bool) -> String {
     let mut result = String::with_capacity(s.len() + s.len() / 10);
@@ -491,83 +2221,306 @@ fn escape_string_for_json(s: &str, ensure_ascii: bool) -> String {
     result
 }
 
-fn format_json_value(value: &serde_json::Value, ensure_ascii: bool, indent: usize, current_indent: usize) -> String {
+// How values are written out
+#[derive(Debug, Clone)]
+struct Format {
+    ensure_ascii: bool,
+    // Text for one level of nesting; empty writes everything on one line
+    indent: String,
+    // Written between items, and between a key and its value. Indented
+    // output ends lines with the item separator, without its trailing spaces
+    item_separator: String,
+    key_separator: String,
+    // Keys in UTF-16 code unit order, as JavaScript's sort() has them
+    sort_keys: bool,
+    // Indented arrays of strings, numbers and literals stay on one line
+    compact_arrays: bool,
+    trailing_newline: bool,
+    // JSON5: identifier keys are left unquoted, and indented objects and
+    // arrays get a comma after their last item
+    json5: bool,
+}
+
+impl Default for Format {
+    fn default() -> Self {
+        Format::new(false, String::new())
+    }
+}
+
+impl Format {
+    fn new(ensure_ascii: bool, indent: String) -> Self {
+        let key_separator = if indent.is_empty() { ":" } else { ": " };
+        Format {
+            ensure_ascii,
+            indent,
+            item_separator: ",".to_string(),
+            key_separator: key_separator.to_string(),
+            sort_keys: false,
+            compact_arrays: false,
+            trailing_newline: false,
+            json5: false,
+        }
+    }
+    
+    fn from_options(options: &RepairOptions) -> Result<Self> {
+        let json5 = match options.output_format.as_deref() {
+            None | Some("json") => false,
+            Some("json5") => true,
+            Some(other) => {
+                return Err(Error::new(
+                    Status::InvalidArg,
+                    format!("outputFormat must be one of json, json5, got {}", other),
+                ))
+            }
+        };
+        let indent = match &options.indent {
+            None => String::new(),
+            Some(Either::A(spaces)) => " ".repeat(*spaces as usize),
+            Some(Either::B(text)) if text.chars().all(|c| c == ' ' || c == '\t') => text.clone(),
+            Some(Either::B(text)) => {
+                return Err(Error::new(
+                    Status::InvalidArg,
+                    format!("indent must be a number or a string of spaces and tabs, got {:?}", text),
+                ))
+            }
+        };
+        let mut format = Format::new(options.ensure_ascii.unwrap_or(true), indent);
+        if let Some(separators) = &options.separators {
+            // Only whitespace may surround the punctuation, or the output would not be JSON
+            let is = |separator: &str, mark: &str| separator.trim_matches(is_json_whitespace) == mark;
+            match separators.as_slice() {
+                [item, key] if is(item, ",") && is(key, ":") => {
+                    format.item_separator = item.clone();
+                    format.key_separator = key.clone();
+                }
+                _ => {
+                    return Err(Error::new(
+                        Status::InvalidArg,
+                        format!("separators must be a comma and a colon with only whitespace around them, got {:?}", separators),
+                    ))
+                }
+            }
+        }
+        format.sort_keys = options.sort_keys.unwrap_or(false);
+        format.compact_arrays = options.compact_arrays.unwrap_or(false);
+        format.trailing_newline = options.trailing_newline.unwrap_or(false);
+        format.json5 = json5;
+        Ok(format)
+    }
+    
+    // The whole output for `value`. Once `watch` stops the repair, what is
+    // left is written as nothing.
+    fn write(&self, value: &serde_json::Value, watch: &Watch) -> String {
+        let mut text = format_json_value(value, self, 0, watch);
+        if self.trailing_newline {
+            text.push('\n');
+        }
+        text
+    }
+    
+    fn write_key(&self, key: &str) -> String {
+        let mut chars = key.chars();
+        let identifier = chars.next().is_some_and(|c| c.is_alphabetic() || c == '$' || c == '_')
+            && chars.all(|c| c.is_alphanumeric() || c == '$' || c == '_');
+        if self.json5 && identifier && (key.is_ascii() || !self.ensure_ascii) {
+            key.to_string()
+        } else {
+            format!("\"{}\"", escape_string_for_json(key, self.ensure_ascii))
+        }
+    }
+    
+    // Items on lines of their own, one level deeper than `level`
+    fn write_lines(&self, open: char, items: Vec<String>, close: char, level: usize) -> String {
+        let separator = self.item_separator.trim_end_matches(is_json_whitespace);
+        let inner = self.indent.repeat(level + 1);
+        let mut result = String::with_capacity(items.iter().map(|item| inner.len() + item.len() + 2).sum::<usize>() + 2);
+        result.push(open);
+        result.push('\n');
+        let last = items.len() - 1;
+        for (i, item) in items.into_iter().enumerate() {
+            result.push_str(&inner);
+            result.push_str(&item);
+            if i < last || self.json5 {
+                result.push_str(separator);
+            }
+            result.push('\n');
+        }
+        result.push_str(&self.indent.repeat(level));
+        result.push(close);
+        result
+    }
+}
+
+fn is_json_whitespace(c: char) -> bool {
+    matches!(c, ' ' | '\t' | '\n' | '\r')
+}
+
+// `value` as text, nested `level` deep
+fn format_json_value(value: &serde_json::Value, format: &Format, level: usize, watch: &Watch) -> String {
+    if watch.tick() {
+        return String::new();
+    }
     match value {
         serde_json::Value::Null => "null".to_string(),
         serde_json::Value::Bool(b) => b.to_string(),
         serde_json::Value::Number(n) => n.to_string(),
         serde_json::Value::String(s) => {
-            format!("\"{}\"", escape_string_for_json(s, ensure_ascii))
+            format!("\"{}\"", escape_string_for_json(s, format.ensure_ascii))
         }
         serde_json::Value::Array(arr) => {
             if arr.is_empty() {
-                "[]".to_string()
-            } else if indent > 0 {
-                let mut result = String::with_capacity(arr.len() * 20);
-                result.push_str("[\n");
-                let inner_indent = current_indent + indent;
-                for (i, item) in arr.iter().enumerate() {
-                    result.push_str(&" ".repeat(inner_indent));
-                    result.push_str(&format_json_value(item, ensure_ascii, indent, inner_indent));
-                    if i < arr.len() - 1 {
-                        result.push(',');
-                    }
-                    result.push('\n');
-                }
-                result.push_str(&" ".repeat(current_indent));
-                result.push(']');
-                result
+                return "[]".to_string();
+            }
+            let items: Vec<String> = arr.iter().map(|item| format_json_value(item, format, level + 1, watch)).collect();
+            if format.indent.is_empty() {
+                format!("[{}]", items.join(&format.item_separator))
+            } else if format.compact_arrays && arr.iter().all(|item| !item.is_array() && !item.is_object()) {
+                // On one line, with a space after each separator
+                let separator = format.item_separator.trim_end_matches(is_json_whitespace);
+                format!("[{}]", items.join(&format!("{} ", separator)))
             } else {
-                let items: Vec<String> = arr.iter()
-                    .map(|v| format_json_value(v, ensure_ascii, 0, 0))
-                    .collect();
-                format!("[{}]", items.join(","))
+                format.write_lines('[', items, ']', level)
             }
         }
         serde_json::Value::Object(obj) => {
             if obj.is_empty() {
-                "{}".to_string()
-            } else if indent > 0 {
-                let mut result = String::with_capacity(obj.len() * 40);
-                result.push_str("{\n");
-                let inner_indent = current_indent + indent;
-                
-                let items: Vec<_> = obj.iter().collect();
-                
-                for (i, (key, value)) in items.iter().enumerate() {
-                    result.push_str(&" ".repeat(inner_indent));
-                    result.push_str(&format!("\"{}\"", escape_string_for_json(key, ensure_ascii)));
-                    result.push_str(": ");
-                    result.push_str(&format_json_value(value, ensure_ascii, indent, inner_indent));
-                    if i < items.len() - 1 {
-                        result.push(',');
-                    }
-                    result.push('\n');
-                }
-                result.push_str(&" ".repeat(current_indent));
-                result.push('}');
-                result
+                return "{}".to_string();
+            }
+            let mut entries: Vec<_> = obj.iter().collect();
+            if format.sort_keys {
+                entries.sort_by(|(a, _), (b, _)| a.encode_utf16().cmp(b.encode_utf16()));
+            }
+            let pairs: Vec<String> = entries
+                .into_iter()
+                .map(|(key, value)| {
+                    let value = format_json_value(value, format, level + 1, watch);
+                    format!("{}{}{}", format.write_key(key), format.key_separator, value)
+                })
+                .collect();
+            if format.indent.is_empty() {
+                format!("{{{}}}", pairs.join(&format.item_separator))
             } else {
-                let pairs: Vec<String> = obj.iter()
-                    .map(|(k, v)| format!("\"{}\":{}", 
-                        escape_string_for_json(k, ensure_ascii),
-                        format_json_value(v, ensure_ascii, 0, 0)))
-                    .collect();
-                format!("{{{}}}", pairs.join(","))
+                format.write_lines('{', pairs, '}', level)
             }
         }
     }
 }
 
+#[napi(object)]
+pub struct RepairOptions {
+    pub ensure_ascii: Option<bool>,
+    // Spaces, or the text (spaces and tabs) for one level of nesting
+    pub indent: Option<Either<u32, String>>,
+    pub logging: Option<bool>,
+    pub comments: Option<bool>,
+    pub preserve_numbers: Option<bool>,
+    // JSON text of a JSON Schema that guides repair
+    pub schema: Option<String>,
+    // Only honoured by repair_json_async
+    pub timeout_ms: Option<u32>,
+    // What to do with undecodable bytes: "replace", "latin1", "drop" or "error"
+    pub invalid_utf8: Option<String>,
+    pub source_map: Option<bool>,
+    // "null" (the default) turns a failed repair into null; "throw" reports it
+    pub on_error: Option<String>,
+    // Containers nested deeper than this (1000 by default, at most 4000) are
+    // replaced as on_max_depth says: "null" (the default), "raw" or "throw"
+    // (the default with on_error "throw")
+    pub max_depth: Option<u32>,
+    pub on_max_depth: Option<String>,
+    // Resource limits for untrusted input, unlimited by default. Breaking one
+    // fails the repair with an error naming it.
+    pub max_input_length: Option<u32>,
+    pub max_string_length: Option<u32>,
+    pub max_items: Option<u32>,
+    pub max_tokens: Option<u32>,
+    // Which value a repeated key keeps: "last" (the default), "first",
+    // "array" (all of them) or "error"
+    pub duplicate_keys: Option<String>,
+    // What the input is read as: "json" (the default), "js", "python" or "json5"
+    pub syntax: Option<String>,
+    // What NaN and Infinity become: "null" (the default), "string" or "error"
+    pub non_finite_numbers: Option<String>,
+    // "json" (the default) or "json5", which leaves identifier keys unquoted
+    pub output_format: Option<String>,
+    // What half a surrogate pair escaped alone becomes: "replace" (the
+    // default), "escape" or "drop"
+    pub lone_surrogates: Option<String>,
+    pub sort_keys: Option<bool>,
+    // [item, key], written between items and between a key and its value
+    pub separators: Option<Vec<String>>,
+    // Keep indented arrays of strings, numbers and literals on one line
+    pub compact_arrays: Option<bool>,
+    pub trailing_newline: Option<bool>,
+}
+
+#[napi(object)]
+pub struct RepairLogEntry {
+    pub kind: String,
+    pub offset: u32,
+    pub line: u32,
+    pub column: u32,
+    pub before: String,
+    pub after: String,
+}
+
+#[napi(object)]
+pub struct CommentEntry {
+    pub kind: String,
+    pub text: String,
+    pub start: u32,
+    pub end: u32,
+    pub line: u32,
+    pub column: u32,
+}
+
+#[napi(object)]
+pub struct SourceSpan {
+    pub path: String,
+    pub start: u32,
+    pub end: u32,
+    pub line: u32,
+    pub column: u32,
+}
+
+#[napi(object)]
+pub struct RepairOutput {
+    pub output: String,
+    pub repairs: Vec<RepairLogEntry>,
+    pub comments: Vec<CommentEntry>,
+    pub validation: Option<SchemaReport>,
+    pub source_map: Vec<SourceSpan>,
+}
+
+#[napi(object)]
+pub struct RepairedDocument {
+    pub output: String,
+    pub start: u32,
+    pub end: u32,
+    pub line: u32,
+    pub column: u32,
+    pub repairs: Vec<RepairLogEntry>,
+    pub comments: Vec<CommentEntry>,
+    pub validation: Option<SchemaReport>,
+    pub source_map: Vec<SourceSpan>,
+}
+
+#[napi(object)]
+pub struct BigInteger {
+    pub path: Vec<String>,
+    pub digits: String,
+}
+
 #[napi]
 pub fn repair_json_rust(json_string: String, ensure_ascii: bool, indent: u32) -> Result<String> {
     // Try to parse and repair the JSON
-    let mut parser = Parser::new(&json_string);
+    let mut parser = Parser::new(&json_string, false);
     
     match parser.parse() {
         Ok(value) => {
             // Format the repaired JSON
-            let formatted = format_json_value(&value, ensure_ascii, indent as usize, 0);
+            let format = Format::new(ensure_ascii, " ".repeat(indent as usize));
+            let formatted = format.write(&value, &parser.lexer.watch);
             Ok(formatted)
         }
         Err(_) => {
@@ -577,3 +2530,309 @@ pub fn repair_json_rust(json_string: String, ensure_ascii: bool, indent: u32) ->
     }
 }
 
+#[napi]
+pub fn repair_json_with_options(
+    env: Env,
+    json_string: Either<String, Uint8Array>,
+    options: RepairOptions,
+) -> Result<RepairOutput> {
+    let json_string = decode::input_text(json_string, &options)?;
+    let schema = options.schema.as_deref().map(schema::parse_schema).transpose()?;
+    repair_with_options(&json_string, &options, schema.as_ref(), None)?.map_err(|failure| failure.into_error(env))
+}
+
+// Shared by the sync, async and batch entry points. `schema` is the parsed
+// `options.schema`; only async repair can be interrupted. A failed repair is
+// null, or with onError: 'throw' the inner error.
+fn repair_with_options(
+    json_string: &str,
+    options: &RepairOptions,
+    schema: Option<&serde_json::Value>,
+    interrupt: Option<Interrupt>,
+) -> Result<std::result::Result<RepairOutput, RepairFailure>> {
+    let format = Format::from_options(options)?;
+    let logging = options.logging.unwrap_or(false);
+    let preserve_numbers = options.preserve_numbers.unwrap_or(false);
+    
+    if let Err(failure) = Limits::from_options(options).check_input(json_string) {
+        return Ok(Err(failure));
+    }
+    let mut parser = Parser::watched(json_string, logging, Watch::new(interrupt));
+    parser.preserve_numbers = preserve_numbers;
+    parser.spans = options.source_map.unwrap_or(false).then(Vec::new);
+    parser.apply_options(options)?;
+    parser.require_value = options.on_error.as_deref() == Some("throw");
+    let result = parser.parse();
+    let watch = &parser.lexer.watch;
+    if let Some(error) = watch.take_stopped() {
+        return Err(error);
+    }
+    let mut value = match result {
+        Ok(value) => value,
+        Err(error) if throws(options, &error) => return Ok(Err(RepairFailure::new(&parser.lexer.input, error, 0))),
+        // If parsing completely fails, return null
+        Err(_) => serde_json::Value::Null,
+    };
+    let validation = schema.map(|schema| schema::apply_schema(schema, &mut value, preserve_numbers, watch));
+    let output = format.write(&value, watch);
+    if let Some(error) = watch.take_stopped() {
+        return Err(error);
+    }
+    
+    let repairs = parser.take_repairs();
+    let repairs = log_entries(&mut Locator::new(&parser.lexer.input), repairs, 0);
+    let comments = if options.comments.unwrap_or(false) {
+        comment_entries(&mut Locator::new(&parser.lexer.input), std::mem::take(&mut parser.lexer.comments), 0)
+    } else {
+        Vec::new()
+    };
+    let source_map = match parser.spans.take() {
+        Some(spans) => source_spans(&mut Locator::new(&parser.lexer.input), &value, spans, validation.as_ref(), 0),
+        None => Vec::new(),
+    };
+    
+    Ok(Ok(RepairOutput { output, repairs, comments, validation, source_map }))
+}
+
+// Whether a failed parse is reported instead of becoming null
+fn throws(options: &RepairOptions, error: &ParseError) -> bool {
+    options.on_error.as_deref() == Some("throw") || error.is_requested()
+}
+
+#[napi]
+pub fn repair_all_rust(
+    env: Env,
+    json_string: Either<String, Uint8Array>,
+    options: RepairOptions,
+) -> Result<Vec<RepairedDocument>> {
+    let json_string = decode::input_text(json_string, &options)?;
+    let format = Format::from_options(&options)?;
+    let logging = options.logging.unwrap_or(false);
+    let keep_comments = options.comments.unwrap_or(false);
+    let preserve_numbers = options.preserve_numbers.unwrap_or(false);
+    let schema = options.schema.as_deref().map(schema::parse_schema).transpose()?;
+    
+    Limits::from_options(&options).check_input(&json_string).map_err(|failure| failure.into_error(env))?;
+    let mut parser = Parser::new(&json_string, logging);
+    parser.preserve_numbers = preserve_numbers;
+    parser.spans = options.source_map.unwrap_or(false).then(Vec::new);
+    parser.apply_options(&options)?;
+    let documents = parser.parse_all();
+    let starts: Vec<usize> = documents.iter().map(|(_, span)| span.start).collect();
+    
+    let mut repairs = parser.take_repairs();
+    repairs.sort_by_key(|repair| repair.position);
+    let mut repairs = repairs.into_iter().peekable();
+    let mut locator = Locator::new(&parser.lexer.input);
+    
+    let comments = if keep_comments { std::mem::take(&mut parser.lexer.comments) } else { Vec::new() };
+    let mut comments = comments.into_iter().peekable();
+    let mut comment_locator = Locator::new(&parser.lexer.input);
+    
+    let mut spans = parser.spans.take().unwrap_or_default();
+    spans.sort_by_key(|(_, span)| span.start);
+    let mut spans = spans.into_iter().peekable();
+    let mut span_locator = Locator::new(&parser.lexer.input);
+    
+    let mut results = Vec::with_capacity(documents.len());
+    for (i, (result, span)) in documents.into_iter().enumerate() {
+        let mut value = match result {
+            Ok(value) => value,
+            Err(error) if throws(&options, &error) => {
+                return Err(RepairFailure::new(&parser.lexer.input, error, 0).into_error(env));
+            }
+            // If parsing completely fails, return null
+            Err(_) => serde_json::Value::Null,
+        };
+        let watch = &parser.lexer.watch;
+        let validation = schema.as_ref().map(|schema| schema::apply_schema(schema, &mut value, preserve_numbers, watch));
+        let output = format.write(&value, watch);
+        
+        // Fixes and comments belong to the document they precede or fall in
+        let next_start = starts.get(i + 1).copied().unwrap_or(usize::MAX);
+        let mut own = Vec::new();
+        while let Some(repair) = repairs.next_if(|repair| repair.position < next_start) {
+            own.push(repair);
+        }
+        let mut own_comments = Vec::new();
+        while let Some(comment) = comments.next_if(|comment| comment.span.start < next_start) {
+            own_comments.push(comment);
+        }
+        let mut own_spans = Vec::new();
+        while let Some(span) = spans.next_if(|(_, span)| span.start < next_start) {
+            own_spans.push(span);
+        }
+        
+        let (start, line, column) = locator.locate(span.start);
+        let own = log_entries(&mut locator, own, 0);
+        let (end, _, _) = locator.locate(span.end);
+        results.push(RepairedDocument {
+            output,
+            start,
+            end,
+            line,
+            column,
+            repairs: own,
+            comments: comment_entries(&mut comment_locator, own_comments, 0),
+            source_map: source_spans(&mut span_locator, &value, own_spans, validation.as_ref(), 0),
+            validation,
+        });
+    }
+    
+    Ok(results)
+}
+
+// Find the integers in repaired JSON text that JSON.parse would round, with
+// the path of keys and array indices leading to each
+#[napi]
+pub fn big_integers_rust(json_string: String) -> Result<Vec<BigInteger>> {
+    let mut parser = Parser::new(&json_string, false);
+    let mut found = Vec::new();
+    if let Ok(value) = parser.parse() {
+        collect_big_integers(&value, &mut Vec::new(), &mut found);
+    }
+    Ok(found)
+}
+
+fn collect_big_integers(value: &serde_json::Value, path: &mut Vec<String>, found: &mut Vec<BigInteger>) {
+    match value {
+        serde_json::Value::Number(n) => {
+            let digits = n.to_string();
+            if is_big_integer(&digits) {
+                found.push(BigInteger { path: path.clone(), digits });
+            }
+        }
+        serde_json::Value::Array(items) => {
+            for (i, item) in items.iter().enumerate() {
+                path.push(i.to_string());
+                collect_big_integers(item, path, found);
+                path.pop();
+            }
+        }
+        serde_json::Value::Object(map) => {
+            for (key, item) in map {
+                path.push(key.clone());
+                collect_big_integers(item, path, found);
+                path.pop();
+            }
+        }
+        _ => {}
+    }
+}
+
+// Report where each value of `value` was read from, in input order. Values
+// that schema fixes moved are followed to their new paths; values that were
+// replaced, like the first of two equal keys, are left out. `base` is as for
+// log_entries.
+fn source_spans(
+    locator: &mut Locator,
+    value: &serde_json::Value,
+    mut spans: Vec<(String, Span)>,
+    validation: Option<&SchemaReport>,
+    base: usize,
+) -> Vec<SourceSpan> {
+    if let Some(report) = validation {
+        relocate_spans(&mut spans, &report.fixes);
+    }
+    spans.sort_by_key(|(_, span)| span.start);
+    
+    // The last value read for a path is the one kept
+    let mut seen = HashSet::new();
+    let mut kept: Vec<(String, Span)> = spans
+        .into_iter()
+        .rev()
+        .filter(|(path, _)| seen.insert(path.clone()) && value.pointer(path).is_some())
+        .collect();
+    kept.reverse();
+    
+    // Locate every start and end in one forward pass
+    let mut positions: Vec<usize> = kept.iter().flat_map(|(_, span)| [span.start, span.end]).collect();
+    positions.sort_unstable();
+    positions.dedup();
+    let located: Vec<(u32, u32, u32)> = positions.iter().map(|&position| locator.locate(base + position)).collect();
+    let find = |position: usize| located[positions.binary_search(&position).unwrap_or(0)];
+    
+    kept.into_iter()
+        .map(|(path, span)| {
+            let (start, line, column) = find(span.start);
+            let (end, _, _) = find(span.end);
+            SourceSpan { path, start, end, line, column }
+        })
+        .collect()
+}
+
+// Move spans along with the values schema fixes moved: renamed keys, and
+// scalars wrapped in an array (the array takes the scalar's span too)
+fn relocate_spans(spans: &mut Vec<(String, Span)>, fixes: &[SchemaFix]) {
+    // The rest of `path` if it is `prefix` or below it
+    fn below<'p>(path: &'p str, prefix: &str) -> Option<&'p str> {
+        let rest = path.strip_prefix(prefix)?;
+        (rest.is_empty() || rest.starts_with('/')).then_some(rest)
+    }
+    
+    for fix in fixes {
+        match fix.kind.as_str() {
+            "rename" => {
+                let parent = &fix.path[..fix.path.rfind('/').unwrap_or(0)];
+                let from = format!("{}{}", parent, schema::pointer(std::slice::from_ref(&fix.before)));
+                for (path, _) in spans.iter_mut() {
+                    if let Some(rest) = below(path, &from) {
+                        *path = format!("{}{}", fix.path, rest);
+                    }
+                }
+            }
+            "wrap" => {
+                let mut arrays = Vec::new();
+                for (path, span) in spans.iter_mut() {
+                    if let Some(rest) = below(path, &fix.path) {
+                        if rest.is_empty() {
+                            arrays.push((path.clone(), *span));
+                        }
+                        *path = format!("{}/0{}", fix.path, rest);
+                    }
+                }
+                spans.extend(arrays);
+            }
+            _ => {}
+        }
+    }
+}
+
+// Report comments with JS-friendly positions. `base` is as for log_entries.
+fn comment_entries(locator: &mut Locator, comments: Vec<Comment>, base: usize) -> Vec<CommentEntry> {
+    comments
+        .into_iter()
+        .map(|comment| {
+            let (start, line, column) = locator.locate(base + comment.span.start);
+            let (end, _, _) = locator.locate(base + comment.span.end);
+            CommentEntry {
+                kind: comment.kind.to_string(),
+                text: comment.text,
+                start,
+                end,
+                line,
+                column,
+            }
+        })
+        .collect()
+}
+
+// Report fixes in input order with JS-friendly positions. `base` is the char
+// index where the repaired text started in the locator's source.
+fn log_entries(locator: &mut Locator, mut repairs: Vec<Repair>, base: usize) -> Vec<RepairLogEntry> {
+    repairs.sort_by_key(|repair| repair.position);
+    repairs
+        .into_iter()
+        .map(|repair| {
+            let (offset, line, column) = locator.locate(base + repair.position);
+            RepairLogEntry {
+                kind: repair.kind.to_string(),
+                offset,
+                line,
+                column,
+                before: repair.before,
+                after: repair.after,
+            }
+        })
+        .collect()
+}
@@ -0,0 +1,566 @@
+use napi::bindgen_prelude::*;
+use napi_derive::napi;
+use serde_json::{Map, Value};
+
+use crate::{is_big_integer, is_json_number, literal_number_value, number_value, Parser, Watch};
+
+// How many `$ref`s may be followed in a row before giving up
+const MAX_REF_CHAIN: usize = 32;
+
+#[napi(object)]
+pub struct SchemaError {
+    pub path: String,
+    pub keyword: String,
+    pub message: String,
+}
+
+#[napi(object)]
+pub struct SchemaFix {
+    pub kind: String,
+    pub path: String,
+    pub before: String,
+    pub after: String,
+}
+
+#[napi(object)]
+pub struct SchemaReport {
+    pub valid: bool,
+    pub errors: Vec<SchemaError>,
+    pub fixes: Vec<SchemaFix>,
+}
+
+// Parse the schema option, which the wrapper passes as JSON text
+pub fn parse_schema(text: &str) -> Result<Value> {
+    serde_json::from_str(text)
+        .map_err(|e| Error::new(Status::InvalidArg, format!("Invalid schema: {}", e)))
+}
+
+// Fix `value` towards `schema` and validate the result. Once `watch` stops
+// the repair, the rest of the value is left as it is.
+pub(crate) fn apply_schema(
+    schema: &Value,
+    value: &mut Value,
+    preserve_numbers: bool,
+    watch: &Watch,
+) -> SchemaReport {
+    let mut guide = Guide {
+        root: schema,
+        watch,
+        preserve_numbers,
+        errors: Vec::new(),
+        fixes: Vec::new(),
+    };
+    guide.apply(schema, value, &mut Vec::new());
+
+    SchemaReport {
+        valid: guide.errors.is_empty(),
+        errors: guide.errors,
+        fixes: guide.fixes,
+    }
+}
+
+struct Guide<'a> {
+    root: &'a Value,
+    watch: &'a Watch,
+    preserve_numbers: bool,
+    errors: Vec<SchemaError>,
+    fixes: Vec<SchemaFix>,
+}
+
+impl<'a> Guide<'a> {
+    fn error(&mut self, path: &[String], keyword: &str, message: String) {
+        self.errors.push(SchemaError {
+            path: pointer(path),
+            keyword: keyword.to_string(),
+            message,
+        });
+    }
+
+    fn fix(&mut self, kind: &str, path: &[String], before: String, after: String) {
+        self.fixes.push(SchemaFix {
+            kind: kind.to_string(),
+            path: pointer(path),
+            before,
+            after,
+        });
+    }
+
+    // Follow local `$ref`s (`#/$defs/...`, `#/definitions/...`)
+    fn resolve(&self, mut schema: &'a Value) -> &'a Value {
+        for _ in 0..MAX_REF_CHAIN {
+            let target = schema
+                .get("$ref")
+                .and_then(Value::as_str)
+                .and_then(|r| r.strip_prefix('#'))
+                .and_then(|r| self.root.pointer(r));
+            match target {
+                Some(target) => schema = target,
+                None => break,
+            }
+        }
+        schema
+    }
+
+    fn apply(&mut self, schema: &'a Value, value: &mut Value, path: &mut Vec<String>) {
+        if self.watch.tick() {
+            return;
+        }
+        let schema = self.resolve(schema);
+        let rules = match schema {
+            Value::Bool(false) => {
+                self.error(path, "false schema", "boolean schema is false".to_string());
+                return;
+            }
+            Value::Object(rules) => rules,
+            _ => return,
+        };
+
+        if let Some(types) = types(rules) {
+            if !types.iter().any(|t| has_type(value, t)) {
+                self.coerce(&types, value, path);
+            }
+            if !types.iter().any(|t| has_type(value, t)) {
+                self.error(path, "type", format!("must be {}", types.join(",")));
+                return;
+            }
+        }
+
+        if let Some(Value::Array(allowed)) = rules.get("enum") {
+            self.apply_enum(allowed, value, path);
+        }
+        if let Some(constant) = rules.get("const") {
+            if !json_equal(value, constant) {
+                self.error(path, "const", "must be equal to constant".to_string());
+            }
+        }
+
+        match value {
+            Value::Object(map) => self.apply_object(rules, map, path),
+            Value::Array(items) => self.apply_array(rules, items, path),
+            Value::String(s) => {
+                let length = s.chars().count() as f64;
+                if let Some(min) = rules
+                    .get("minLength")
+                    .and_then(Value::as_f64)
+                    .filter(|&min| length < min)
+                {
+                    self.error(
+                        path,
+                        "minLength",
+                        format!("must NOT have fewer than {} characters", min),
+                    );
+                }
+                if let Some(max) = rules
+                    .get("maxLength")
+                    .and_then(Value::as_f64)
+                    .filter(|&max| length > max)
+                {
+                    self.error(
+                        path,
+                        "maxLength",
+                        format!("must NOT have more than {} characters", max),
+                    );
+                }
+            }
+            Value::Number(n) => {
+                let n = n.as_f64().unwrap_or(0.0);
+                let limit = |keyword| rules.get(keyword).and_then(Value::as_f64);
+                if let Some(min) = limit("minimum").filter(|&min| n < min) {
+                    self.error(path, "minimum", format!("must be >= {}", min));
+                }
+                if let Some(max) = limit("maximum").filter(|&max| n > max) {
+                    self.error(path, "maximum", format!("must be <= {}", max));
+                }
+                if let Some(min) = limit("exclusiveMinimum").filter(|&min| n <= min) {
+                    self.error(path, "exclusiveMinimum", format!("must be > {}", min));
+                }
+                if let Some(max) = limit("exclusiveMaximum").filter(|&max| n >= max) {
+                    self.error(path, "exclusiveMaximum", format!("must be < {}", max));
+                }
+            }
+            _ => {}
+        }
+
+        if let Some(Value::Array(all)) = rules.get("allOf") {
+            for branch in all {
+                self.apply(branch, value, path);
+            }
+        }
+        for keyword in ["anyOf", "oneOf"] {
+            if let Some(Value::Array(branches)) = rules.get(keyword) {
+                self.apply_branches(keyword, branches, value, path);
+            }
+        }
+    }
+
+    // Convert `value` to the first of `types` it can be read as. Scalars are
+    // wrapped when an array is wanted.
+    fn coerce(&mut self, types: &[&str], value: &mut Value, path: &[String]) {
+        let (kind, coerced) = match types.iter().find_map(|t| self.convert(value, t)) {
+            Some(coerced) => ("coerce", coerced),
+            None if types.contains(&"array") => ("wrap", Value::Array(vec![value.clone()])),
+            None => return,
+        };
+        self.fix(kind, path, value.to_string(), coerced.to_string());
+        *value = coerced;
+    }
+
+    fn convert(&self, value: &Value, target: &str) -> Option<Value> {
+        match (value, target) {
+            (Value::String(s), "number" | "integer") => {
+                let s = s.trim();
+                if !is_json_number(s) {
+                    return None;
+                }
+                let n = if self.preserve_numbers {
+                    literal_number_value(s)
+                } else {
+                    number_value(s)
+                }?;
+                has_type(&n, target).then_some(n)
+            }
+            (Value::String(s), "boolean") => match s.trim().to_ascii_lowercase().as_str() {
+                "true" => Some(Value::Bool(true)),
+                "false" => Some(Value::Bool(false)),
+                _ => None,
+            },
+            (Value::String(s), "null") if s.trim() == "null" => Some(Value::Null),
+            // Nested JSON an LLM wrote as a string
+            (Value::String(s), "object" | "array") => {
+                let s = s.trim();
+                if !(s.starts_with('{') || s.starts_with('[')) {
+                    return None;
+                }
+                let mut parser = Parser::new(s, false);
+                parser.preserve_numbers = self.preserve_numbers;
+                parser
+                    .parse()
+                    .ok()
+                    .filter(|parsed| has_type(parsed, target))
+            }
+            (Value::Number(n), "string") => {
+                let digits = n.to_string();
+                let text = match n.as_f64() {
+                    Some(f) if !is_big_integer(&digits) && !self.preserve_numbers => f.to_string(),
+                    _ => digits,
+                };
+                Some(Value::String(text))
+            }
+            (Value::Bool(b), "string") => Some(Value::String(b.to_string())),
+            _ => None,
+        }
+    }
+
+    fn apply_enum(&mut self, allowed: &[Value], value: &mut Value, path: &[String]) {
+        if allowed.iter().any(|a| json_equal(a, value)) {
+            return;
+        }
+        // A string that only differs in case
+        if let Value::String(s) = &value {
+            let mut matches = allowed
+                .iter()
+                .filter(|a| a.as_str().is_some_and(|a| a.eq_ignore_ascii_case(s)));
+            if let (Some(found), None) = (matches.next(), matches.next()) {
+                self.fix("coerce", path, value.to_string(), found.to_string());
+                *value = found.clone();
+                return;
+            }
+        }
+        self.error(
+            path,
+            "enum",
+            "must be equal to one of the allowed values".to_string(),
+        );
+    }
+
+    fn apply_object(
+        &mut self,
+        rules: &'a Map<String, Value>,
+        map: &mut Map<String, Value>,
+        path: &mut Vec<String>,
+    ) {
+        let properties = rules.get("properties").and_then(Value::as_object);
+        if let Some(properties) = properties {
+            self.rename_near_misses(properties, map, path);
+        }
+
+        if let Some(Value::Array(required)) = rules.get("required") {
+            for key in required.iter().filter_map(Value::as_str) {
+                if map.contains_key(key) {
+                    continue;
+                }
+                let property = properties.and_then(|p| p.get(key)).map(|p| self.resolve(p));
+                match property.and_then(|p| p.get("default")) {
+                    Some(default) => {
+                        path.push(key.to_string());
+                        self.fix("default", path, String::new(), default.to_string());
+                        path.pop();
+                        map.insert(key.to_string(), default.clone());
+                    }
+                    None => self.error(
+                        path,
+                        "required",
+                        format!("must have required property '{}'", key),
+                    ),
+                }
+            }
+        }
+
+        let additional = rules.get("additionalProperties");
+        for (key, item) in map.iter_mut() {
+            path.push(key.clone());
+            match (properties.and_then(|p| p.get(key)), additional) {
+                (Some(property), _) => self.apply(property, item, path),
+                (None, Some(Value::Bool(false))) => {
+                    self.error(
+                        path,
+                        "additionalProperties",
+                        "must NOT have additional properties".to_string(),
+                    );
+                }
+                (None, Some(extra)) => self.apply(extra, item, path),
+                (None, None) => {}
+            }
+            path.pop();
+        }
+    }
+
+    // Rename undeclared keys that look like a missing declared key: the same
+    // up to case and separators, or a typo away
+    fn rename_near_misses(
+        &mut self,
+        properties: &Map<String, Value>,
+        map: &mut Map<String, Value>,
+        path: &mut Vec<String>,
+    ) {
+        let mut missing: Vec<&String> = properties
+            .keys()
+            .filter(|key| !map.contains_key(*key))
+            .collect();
+        if missing.is_empty() {
+            return;
+        }
+
+        let mut renames = Vec::new();
+        for key in map.keys().filter(|key| !properties.contains_key(*key)) {
+            let mut best: Option<(usize, usize)> = None;
+            let mut tied = false;
+            for (i, declared) in missing.iter().enumerate() {
+                let Some(distance) = near_miss(key, declared) else {
+                    continue;
+                };
+                match best {
+                    Some((_, d)) if d < distance => {}
+                    Some((_, d)) if d == distance => tied = true,
+                    _ => {
+                        best = Some((i, distance));
+                        tied = false;
+                    }
+                }
+            }
+            if let (Some((i, _)), false) = (best, tied) {
+                renames.push((key.clone(), missing.remove(i).clone()));
+            }
+        }
+        if renames.is_empty() {
+            return;
+        }
+
+        // Rebuild to keep the renamed keys in place
+        let entries = std::mem::take(map);
+        for (key, item) in entries {
+            match renames.iter().find(|(from, _)| *from == key) {
+                Some((from, to)) => {
+                    path.push(to.clone());
+                    self.fix("rename", path, from.clone(), to.clone());
+                    path.pop();
+                    map.insert(to.clone(), item);
+                }
+                None => {
+                    map.insert(key, item);
+                }
+            }
+        }
+    }
+
+    fn apply_array(
+        &mut self,
+        rules: &'a Map<String, Value>,
+        items: &mut [Value],
+        path: &mut Vec<String>,
+    ) {
+        // Positional schemas: `prefixItems`, or the older array form of `items`
+        let (prefix, rest) = match (rules.get("prefixItems"), rules.get("items")) {
+            (Some(Value::Array(prefix)), rest) => (prefix.as_slice(), rest),
+            (_, Some(Value::Array(prefix))) => (prefix.as_slice(), rules.get("additionalItems")),
+            (_, rest) => (&[][..], rest),
+        };
+
+        for (i, item) in items.iter_mut().enumerate() {
+            path.push(i.to_string());
+            match (prefix.get(i), rest) {
+                (Some(schema), _) => self.apply(schema, item, path),
+                (None, Some(Value::Bool(false))) => {
+                    self.error(path, "items", "must NOT have additional items".to_string());
+                }
+                (None, Some(schema)) => self.apply(schema, item, path),
+                (None, None) => {}
+            }
+            path.pop();
+        }
+
+        let count = items.len() as f64;
+        if let Some(min) = rules
+            .get("minItems")
+            .and_then(Value::as_f64)
+            .filter(|&min| count < min)
+        {
+            self.error(
+                path,
+                "minItems",
+                format!("must NOT have fewer than {} items", min),
+            );
+        }
+        if let Some(max) = rules
+            .get("maxItems")
+            .and_then(Value::as_f64)
+            .filter(|&max| count > max)
+        {
+            self.error(
+                path,
+                "maxItems",
+                format!("must NOT have more than {} items", max),
+            );
+        }
+    }
+
+    // Use the first branch the value matches once fixed
+    fn apply_branches(
+        &mut self,
+        keyword: &str,
+        branches: &'a [Value],
+        value: &mut Value,
+        path: &mut Vec<String>,
+    ) {
+        for branch in branches {
+            let mut trial = value.clone();
+            let mut guide = Guide {
+                root: self.root,
+                watch: self.watch,
+                preserve_numbers: self.preserve_numbers,
+                errors: Vec::new(),
+                fixes: Vec::new(),
+            };
+            guide.apply(branch, &mut trial, path);
+            if guide.errors.is_empty() {
+                *value = trial;
+                self.fixes.extend(guide.fixes);
+                return;
+            }
+        }
+        self.error(path, keyword, format!("must match a schema in {}", keyword));
+    }
+}
+
+// The `type` keyword as a list
+fn types(rules: &Map<String, Value>) -> Option<Vec<&str>> {
+    match rules.get("type")? {
+        Value::String(t) => Some(vec![t.as_str()]),
+        Value::Array(ts) => Some(ts.iter().filter_map(Value::as_str).collect()),
+        _ => None,
+    }
+}
+
+fn has_type(value: &Value, t: &str) -> bool {
+    match (t, value) {
+        ("null", Value::Null) => true,
+        ("boolean", Value::Bool(_)) => true,
+        ("string", Value::String(_)) => true,
+        ("array", Value::Array(_)) => true,
+        ("object", Value::Object(_)) => true,
+        ("number", Value::Number(_)) => true,
+        ("integer", Value::Number(n)) => n.as_f64().is_some_and(|f| f.fract() == 0.0),
+        _ => false,
+    }
+}
+
+// JSON Schema equality: numbers are equal by value, so a repaired `1.0`
+// matches a `1` in the schema, and objects regardless of key order
+fn json_equal(a: &Value, b: &Value) -> bool {
+    match (a, b) {
+        (Value::Number(x), Value::Number(y)) => {
+            let (x, y) = (x.to_string(), y.to_string());
+            // Integers a double can't hold only match their own digits
+            x == y
+                || (!is_big_integer(&x)
+                    && !is_big_integer(&y)
+                    && matches!((x.parse::<f64>(), y.parse::<f64>()), (Ok(x), Ok(y)) if x == y))
+        }
+        (Value::Array(x), Value::Array(y)) => {
+            x.len() == y.len() && x.iter().zip(y).all(|(x, y)| json_equal(x, y))
+        }
+        (Value::Object(x), Value::Object(y)) => {
+            x.len() == y.len()
+                && x.iter()
+                    .all(|(key, x)| y.get(key).is_some_and(|y| json_equal(x, y)))
+        }
+        _ => a == b,
+    }
+}
+
+// JSON Pointer to the value at `path`
+pub(crate) fn pointer(path: &[String]) -> String {
+    path.iter()
+        .map(|key| format!("/{}", key.replace('~', "~0").replace('/', "~1")))
+        .collect()
+}
+
+// Distance from an undeclared key to a declared one, if close enough to be
+// a mistake for it
+fn near_miss(key: &str, declared: &str) -> Option<usize> {
+    let normalize = |s: &str| -> String {
+        s.chars()
+            .filter(|c| !matches!(c, '_' | '-' | ' '))
+            .flat_map(char::to_lowercase)
+            .collect()
+    };
+    if normalize(key) == normalize(declared) {
+        return Some(0);
+    }
+
+    let allowed = match declared.chars().count() {
+        0..=3 => 0,
+        4..=7 => 1,
+        _ => 2,
+    };
+    let distance = edit_distance(&key.to_lowercase(), &declared.to_lowercase());
+    (distance <= allowed).then_some(distance)
+}
+
+// Edits (insert, delete, substitute, swap adjacent) to turn `a` into `b`
+fn edit_distance(a: &str, b: &str) -> usize {
+    let a: Vec<char> = a.chars().collect();
+    let b: Vec<char> = b.chars().collect();
+    let mut rows = vec![vec![0usize; b.len() + 1]; a.len() + 1];
+
+    for (i, row) in rows.iter_mut().enumerate() {
+        row[0] = i;
+    }
+    for j in 0..=b.len() {
+        rows[0][j] = j;
+    }
+    for i in 1..=a.len() {
+        for j in 1..=b.len() {
+            let cost = usize::from(a[i - 1] != b[j - 1]);
+            let mut best = (rows[i - 1][j] + 1)
+                .min(rows[i][j - 1] + 1)
+                .min(rows[i - 1][j - 1] + cost);
+            if i > 1 && j > 1 && a[i - 1] == b[j - 2] && a[i - 2] == b[j - 1] {
+                best = best.min(rows[i - 2][j - 2] + 1);
+            }
+            rows[i][j] = best;
+        }
+    }
+
+    rows[a.len()][b.len()]
+}
@@ -0,0 +1,304 @@
+use napi::bindgen_prelude::*;
+use napi_derive::napi;
+
+use crate::{number_value, Lexer, Token};
+
+// Same limit as Parser::max_depth by default
+const MAX_DEPTH: usize = 1000;
+
+#[napi(object)]
+pub struct StreamEvent {
+    pub kind: String,
+    pub key: Option<String>,
+    pub value: Option<String>,
+}
+
+impl StreamEvent {
+    fn new(kind: &str, key: Option<String>, value: Option<String>) -> Self {
+        StreamEvent {
+            kind: kind.to_string(),
+            key,
+            value,
+        }
+    }
+}
+
+enum Frame {
+    // `key` is set once a key has been read, `colon` once its colon has been seen
+    Object { key: Option<String>, colon: bool },
+    Array,
+}
+
+// Token-at-a-time counterpart of Parser. It keeps no values, only the open
+// containers, and emits events describing what was added to the document.
+struct StreamParser {
+    stack: Vec<Frame>,
+    done: bool,
+    events: Vec<StreamEvent>,
+}
+
+impl StreamParser {
+    fn new() -> Self {
+        StreamParser {
+            stack: Vec::new(),
+            done: false,
+            events: Vec::new(),
+        }
+    }
+
+    // Whether the next token fills a value slot (as opposed to a key)
+    fn expects_value(&self) -> bool {
+        match self.stack.last() {
+            None => !self.done,
+            Some(Frame::Array) => true,
+            Some(Frame::Object { key, .. }) => key.is_some(),
+        }
+    }
+
+    // Claim the current value slot, returning its key when inside an object
+    fn place(&mut self) -> Option<String> {
+        match self.stack.last_mut() {
+            None => {
+                self.done = true;
+                None
+            }
+            Some(Frame::Array) => None,
+            Some(Frame::Object { key, colon }) => {
+                *colon = false;
+                Some(key.take().unwrap_or_default())
+            }
+        }
+    }
+
+    fn feed(&mut self, token: Token) -> std::result::Result<(), String> {
+        let frame = match self.stack.last_mut() {
+            // Anything after the first complete value is ignored
+            None if self.done => return Ok(()),
+            None => return self.feed_value(token),
+            Some(frame) => frame,
+        };
+
+        match frame {
+            Frame::Array => match token {
+                Token::RightBracket => self.close(),
+                Token::Comma => {}
+                token => return self.feed_value(token),
+            },
+            Frame::Object {
+                key: key @ None, ..
+            } => match token {
+                Token::RightBrace => self.close(),
+                Token::Comma => {}
+                Token::String(s) => *key = Some(s),
+                // Treat any other token as a string key, like Parser::parse_object
+                token => *key = Some(format!("{:?}", token)),
+            },
+            Frame::Object {
+                colon: colon @ false,
+                ..
+            } if token == Token::Colon => *colon = true,
+            // Missing colon: the token is the value
+            Frame::Object { .. } => return self.feed_value(token),
+        }
+        Ok(())
+    }
+
+    fn feed_value(&mut self, token: Token) -> std::result::Result<(), String> {
+        let (kind, value) = match token {
+            Token::LeftBrace | Token::LeftBracket => {
+                if self.stack.len() >= MAX_DEPTH {
+                    return Err("Maximum nesting depth exceeded".to_string());
+                }
+                let key = self.place();
+                let (kind, frame) = if token == Token::LeftBrace {
+                    (
+                        "object",
+                        Frame::Object {
+                            key: None,
+                            colon: false,
+                        },
+                    )
+                } else {
+                    ("array", Frame::Array)
+                };
+                self.events.push(StreamEvent::new(kind, key, None));
+                self.stack.push(frame);
+                return Ok(());
+            }
+            Token::String(s) => ("string", s),
+            Token::Number(n) => (
+                "value",
+                number_value(&n)
+                    .unwrap_or(serde_json::Value::Null)
+                    .to_string(),
+            ),
+            Token::True => ("value", "true".to_string()),
+            Token::False => ("value", "false".to_string()),
+            // Null, and unexpected tokens recovered as null
+            _ => ("value", "null".to_string()),
+        };
+        let key = self.place();
+        self.events.push(StreamEvent::new(kind, key, Some(value)));
+        Ok(())
+    }
+
+    fn close(&mut self) {
+        self.stack.pop();
+        self.events.push(StreamEvent::new("end", None, None));
+    }
+
+    // Close everything still open at end of input
+    fn finish(&mut self) {
+        while let Some(frame) = self.stack.last() {
+            if let Frame::Object { key: Some(_), .. } = frame {
+                // Key without a value
+                let key = self.place();
+                self.events
+                    .push(StreamEvent::new("value", key, Some("null".to_string())));
+            }
+            self.close();
+        }
+        if !self.done {
+            self.done = true;
+            self.events
+                .push(StreamEvent::new("value", None, Some("null".to_string())));
+        }
+    }
+}
+
+// A quoted string whose closing quote has not arrived yet
+struct PendingString {
+    quote: char,
+    value: String,
+    // Set once the string has been emitted as a value (holding its key), so
+    // later content is sent as appended text
+    slot: Option<Option<String>>,
+}
+
+#[napi]
+pub struct RepairStream {
+    lexer: Lexer,
+    parser: StreamParser,
+    pending: Option<PendingString>,
+    ended: bool,
+}
+
+impl Default for RepairStream {
+    fn default() -> Self {
+        let mut lexer = Lexer::new("", false);
+        lexer.streaming = true;
+
+        RepairStream {
+            lexer,
+            parser: StreamParser::new(),
+            pending: None,
+            ended: false,
+        }
+    }
+}
+
+#[napi]
+impl RepairStream {
+    #[napi(constructor)]
+    pub fn new() -> Self {
+        Self::default()
+    }
+
+    #[napi]
+    pub fn write(&mut self, chunk: String) -> Result<Vec<StreamEvent>> {
+        if self.ended {
+            return Err(Error::new(
+                Status::GenericFailure,
+                "Cannot write after end()".to_string(),
+            ));
+        }
+        self.lexer.push_str(&chunk);
+        self.pump()?;
+        Ok(std::mem::take(&mut self.parser.events))
+    }
+
+    #[napi]
+    pub fn end(&mut self) -> Result<Vec<StreamEvent>> {
+        if !self.ended {
+            self.ended = true;
+            self.lexer.streaming = false;
+            self.pump()?;
+            self.parser.finish();
+        }
+        Ok(std::mem::take(&mut self.parser.events))
+    }
+
+    // Tokenize as much buffered input as is complete and feed it to the parser
+    fn pump(&mut self) -> Result<()> {
+        let finished = !self.lexer.streaming;
+
+        loop {
+            if let Some(mut pending) = self.pending.take() {
+                let seen = pending.value.len();
+                pending.value = self.lexer.continue_string(pending.quote, pending.value);
+                if let Some(key) = &pending.slot {
+                    if pending.value.len() > seen {
+                        let text = pending.value[seen..].to_string();
+                        self.parser
+                            .events
+                            .push(StreamEvent::new("text", key.clone(), Some(text)));
+                    }
+                }
+                if self.lexer.unterminated && !finished {
+                    self.pending = Some(pending);
+                    break;
+                }
+                if pending.slot.is_none() {
+                    self.feed(Token::String(pending.value))?;
+                }
+                continue;
+            }
+
+            let mark = self.lexer.position;
+            let token = self.lexer.next_token();
+            let quoted = matches!(
+                self.lexer.input.get(self.lexer.token_start),
+                Some('"') | Some('\'')
+            );
+            let at_end = self.lexer.position >= self.lexer.input.len();
+
+            match token {
+                Token::EOF => break,
+                Token::String(value) if self.lexer.unterminated && !finished => {
+                    // Emit a string value as soon as it opens; its type can't change
+                    let quote = self.lexer.input[self.lexer.token_start];
+                    let slot = if self.parser.expects_value() {
+                        let key = self.parser.place();
+                        self.parser.events.push(StreamEvent::new(
+                            "string",
+                            key.clone(),
+                            Some(value.clone()),
+                        ));
+                        Some(key)
+                    } else {
+                        None
+                    };
+                    self.pending = Some(PendingString { quote, value, slot });
+                    break;
+                }
+                Token::String(_) | Token::Number(_) | Token::True | Token::False | Token::Null
+                    if at_end && !finished && !quoted =>
+                {
+                    // The word or number may continue in the next chunk
+                    self.lexer.rewind(mark);
+                    break;
+                }
+                token => self.feed(token)?,
+            }
+        }
+
+        self.lexer.discard_consumed();
+        Ok(())
+    }
+
+    fn feed(&mut self, token: Token) -> Result<()> {
+        self.parser
+            .feed(token)
+            .map_err(|e| Error::new(Status::GenericFailure, e))
+    }
+}
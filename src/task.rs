@@ -0,0 +1,89 @@
+use std::sync::atomic::{AtomicBool, Ordering};
+use std::sync::Arc;
+use std::time::{Duration, Instant};
+
+use napi::bindgen_prelude::*;
+use napi::Env;
+use napi_derive::napi;
+
+use crate::error::RepairFailure;
+use crate::{decode, schema};
+use crate::{repair_with_options, Interrupt, RepairOptions, RepairOutput};
+
+// Lets JS stop a repair that is running on the threadpool
+#[napi]
+#[derive(Default)]
+pub struct CancelToken {
+    cancelled: Arc<AtomicBool>,
+}
+
+#[napi]
+impl CancelToken {
+    #[napi(constructor)]
+    pub fn new() -> Self {
+        Self::default()
+    }
+
+    #[napi]
+    pub fn cancel(&self) {
+        self.cancelled.store(true, Ordering::Relaxed);
+    }
+}
+
+pub struct RepairTask {
+    json_string: String,
+    options: RepairOptions,
+    interrupt: Interrupt,
+}
+
+impl Task for RepairTask {
+    // A failed repair is only turned into a JS error back on the main thread
+    type Output = std::result::Result<RepairOutput, RepairFailure>;
+    type JsValue = RepairOutput;
+
+    fn compute(&mut self) -> Result<Self::Output> {
+        let schema = self
+            .options
+            .schema
+            .as_deref()
+            .map(schema::parse_schema)
+            .transpose()?;
+        repair_with_options(
+            &self.json_string,
+            &self.options,
+            schema.as_ref(),
+            Some(self.interrupt.clone()),
+        )
+    }
+
+    fn resolve(&mut self, env: Env, output: Self::Output) -> Result<Self::JsValue> {
+        output.map_err(|failure| failure.into_error(env))
+    }
+}
+
+// Repair on the libuv threadpool. The timeout counts from this call, so time
+// spent waiting for a free thread is included.
+#[napi]
+pub fn repair_json_async(
+    json_string: Either<String, Uint8Array>,
+    options: RepairOptions,
+    token: &CancelToken,
+) -> Result<AsyncTask<RepairTask>> {
+    // Bytes can only be read on the main thread
+    let json_string = decode::input_text(json_string, &options)?;
+    let deadline = options.timeout_ms.map(|timeout_ms| {
+        (
+            Instant::now() + Duration::from_millis(timeout_ms as u64),
+            timeout_ms,
+        )
+    });
+    let interrupt = Interrupt {
+        cancelled: token.cancelled.clone(),
+        deadline,
+    };
+    Ok(AsyncTask::new(RepairTask {
+        json_string,
+        options,
+        interrupt,
+    }))
+}
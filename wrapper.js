@@ -1,38 +1,809 @@
-const { repairJsonRust } = require('./index.js');
+const {
+  repairJsonRust,
+  repairJsonWithOptions,
+  repairAllRust,
+  repairManyRust,
+  extractJsonRust,
+  diagnoseRust,
+  bigIntegersRust,
+  RepairStream,
+  CancelToken,
+  repairJsonAsync,
+} = require('./index.js');
+
+const BIG_NUMBER_MODES = ['bigint', 'string', 'lossy'];
+
+function checkBigNumbers(bigNumbers) {
+  if (!BIG_NUMBER_MODES.includes(bigNumbers)) {
+    throw new TypeError(`bigNumbers must be one of ${BIG_NUMBER_MODES.join(', ')}, got ${bigNumbers}`);
+  }
+}
+
+const INVALID_UTF8_POLICIES = ['replace', 'latin1', 'drop', 'error'];
+const ON_ERROR_POLICIES = ['null', 'throw'];
+const MAX_DEPTH_POLICIES = ['null', 'raw', 'throw'];
+const DUPLICATE_KEY_POLICIES = ['last', 'first', 'error', 'array'];
+const SYNTAXES = ['json', 'js', 'python', 'json5'];
+const NON_FINITE_POLICIES = ['null', 'string', 'error'];
+const OUTPUT_FORMATS = ['json', 'json5'];
+const LONE_SURROGATE_POLICIES = ['replace', 'escape', 'drop'];
+const RESOURCE_LIMITS = ['maxInputLength', 'maxStringLength', 'maxItems', 'maxTokens'];
+// Deepest maxDepth accepted; repair recurses once per level, so deeper input could overflow the stack
+const MAX_DEPTH_LIMIT = 4000;
 
 /**
- * Repair invalid JSON string and return either the repaired JSON string or parsed object.
- * 
- * @param {string} jsonString - The potentially invalid JSON string to repair
- * @param {Object} options - Options for repair
- * @param {boolean} [options.returnObjects=false] - If true, return the parsed JavaScript object instead of JSON string
- * @param {boolean} [options.skipJsonLoads=false] - If true, skip initial validation with JSON.parse
- * @param {boolean} [options.ensureAscii=true] - If true, escape non-ASCII characters in output
- * @param {number|null} [options.indent=null] - Number of spaces for indentation (null for compact output)
- * @returns {string|any} Either the repaired JSON string or parsed JavaScript object (if returnObjects=true)
+ * Thrown (or rejected with) when `onError: 'throw'` is set and the input cannot be repaired.
+ *
+ * @property {string} code - Why repair failed, such as 'MAX_DEPTH'
+ * @property {number} offset - UTF-16 offset into the input where it failed
+ * @property {number} line - 1-based line of `offset`
+ * @property {number} column - 1-based column of `offset`
+ * @property {string} codeFrame - The input lines around `offset`, with a caret under it
  */
-function repairJSON(jsonString, options = {}) {
+class RepairError extends Error {
+  constructor(message, { code, offset, line, column, codeFrame } = {}) {
+    super(message);
+    this.name = 'RepairError';
+    this.code = code;
+    this.offset = offset;
+    this.line = line;
+    this.column = column;
+    this.codeFrame = codeFrame;
+  }
+}
+
+// Native errors for failed repairs carry a code frame; others pass through unchanged
+function toRepairError(error) {
+  if (error && typeof error.codeFrame === 'string' && !(error instanceof RepairError)) {
+    return new RepairError(error.message, error);
+  }
+  return error;
+}
+
+// Input is text, or bytes (Buffer is a Uint8Array) that Rust decodes
+function isBytes(input) {
+  return input instanceof Uint8Array;
+}
+
+function checkInput(input) {
+  if (typeof input !== 'string' && !isBytes(input)) {
+    throw new TypeError(`Expected string or Uint8Array, got ${typeof input}`);
+  }
+}
+
+function checkOnError(onError) {
+  if (!ON_ERROR_POLICIES.includes(onError)) {
+    throw new TypeError(`onError must be one of ${ON_ERROR_POLICIES.join(', ')}, got ${onError}`);
+  }
+}
+
+function checkCount(name, value) {
+  if (value !== undefined && !(Number.isInteger(value) && value >= 0)) {
+    throw new TypeError(`${name} must be a non-negative integer, got ${value}`);
+  }
+}
+
+function checkDepth(maxDepth, onMaxDepth) {
+  checkCount('maxDepth', maxDepth);
+  if (maxDepth > MAX_DEPTH_LIMIT) {
+    throw new TypeError(`maxDepth must be at most ${MAX_DEPTH_LIMIT}, got ${maxDepth}`);
+  }
+  if (!MAX_DEPTH_POLICIES.includes(onMaxDepth)) {
+    throw new TypeError(`onMaxDepth must be one of ${MAX_DEPTH_POLICIES.join(', ')}, got ${onMaxDepth}`);
+  }
+}
+
+function checkDuplicateKeys(duplicateKeys) {
+  if (!DUPLICATE_KEY_POLICIES.includes(duplicateKeys)) {
+    throw new TypeError(`duplicateKeys must be one of ${DUPLICATE_KEY_POLICIES.join(', ')}, got ${duplicateKeys}`);
+  }
+}
+
+function checkSyntax(syntax, nonFiniteNumbers) {
+  if (!SYNTAXES.includes(syntax)) {
+    throw new TypeError(`syntax must be one of ${SYNTAXES.join(', ')}, got ${syntax}`);
+  }
+  if (!NON_FINITE_POLICIES.includes(nonFiniteNumbers)) {
+    throw new TypeError(`nonFiniteNumbers must be one of ${NON_FINITE_POLICIES.join(', ')}, got ${nonFiniteNumbers}`);
+  }
+}
+
+function checkOutputFormat(outputFormat) {
+  if (!OUTPUT_FORMATS.includes(outputFormat)) {
+    throw new TypeError(`outputFormat must be one of ${OUTPUT_FORMATS.join(', ')}, got ${outputFormat}`);
+  }
+}
+
+function checkLoneSurrogates(loneSurrogates) {
+  if (!LONE_SURROGATE_POLICIES.includes(loneSurrogates)) {
+    throw new TypeError(`loneSurrogates must be one of ${LONE_SURROGATE_POLICIES.join(', ')}, got ${loneSurrogates}`);
+  }
+}
+
+function checkCallback(name, callback) {
+  if (callback !== undefined && typeof callback !== 'function') {
+    throw new TypeError(`${name} must be a function, got ${typeof callback}`);
+  }
+}
+
+// Whether `separator` is `mark` with only JSON whitespace around it
+function isSeparator(separator, mark) {
+  return typeof separator === 'string' && separator.replace(/^[ \t\n\r]+|[ \t\n\r]+$/g, '') === mark;
+}
+
+// The options that lay out output text, checked. Parsed output is read back with JSON.parse,
+// so it is never JSON5 and has no replacer
+function outputLayout(options) {
   const {
     returnObjects = false,
-    skipJsonLoads = false,
     ensureAscii = true,
     indent = null,
+    sortKeys = false,
+    separators,
+    compactArrays = false,
+    trailingNewline = false,
+    outputFormat = 'json',
+    replacer,
   } = options;
+  if (indent !== null && !(Number.isInteger(indent) && indent >= 0) &&
+      !(typeof indent === 'string' && /^[ \t]*$/.test(indent))) {
+    throw new TypeError(`indent must be a non-negative integer or a string of spaces and tabs, got ${indent}`);
+  }
+  if (typeof sortKeys !== 'boolean' && typeof sortKeys !== 'function') {
+    throw new TypeError(`sortKeys must be a boolean or a comparator function, got ${typeof sortKeys}`);
+  }
+  if (separators !== undefined &&
+      !(Array.isArray(separators) && separators.length === 2 && isSeparator(separators[0], ',') &&
+        isSeparator(separators[1], ':'))) {
+    throw new TypeError(`separators must be [item, key], a comma and a colon with only whitespace around them`);
+  }
+  checkCallback('replacer', replacer);
+  const json5 = !returnObjects && outputFormat === 'json5';
+  return {
+    ensureAscii,
+    indent,
+    sortKeys,
+    separators,
+    compactArrays,
+    trailingNewline,
+    json5,
+    replacer: returnObjects ? undefined : replacer,
+  };
+}
+
+// Whether the layout asks for more than JSON.stringify's indentation
+function hasLayout({ indent, sortKeys, separators, compactArrays, trailingNewline, replacer }) {
+  return typeof indent === 'string' || sortKeys !== false || separators !== undefined || compactArrays ||
+    trailingNewline || replacer !== undefined;
+}
+
+// Whether the layout needs functions, which only run here
+function laidOutHere({ sortKeys, replacer }) {
+  return typeof sortKeys === 'function' || replacer !== undefined;
+}
+
+// The layout as Rust takes it. Rust cannot call a sortKeys comparator or a replacer, so then
+// it writes compact JSON and layOut does the rest
+function nativeLayout(layout) {
+  if (laidOutHere(layout)) {
+    return { indent: 0, outputFormat: 'json' };
+  }
+  const { indent, sortKeys, separators, compactArrays, trailingNewline, json5 } = layout;
+  return {
+    indent: indent || 0,
+    sortKeys,
+    separators,
+    compactArrays,
+    trailingNewline,
+    outputFormat: json5 ? 'json5' : 'json',
+  };
+}
+
+// Rust's output, laid out here if Rust could not. `spans` are its source map, keyed by JSON
+// Pointer, for the replacer
+function layOut(text, layout, spans) {
+  return laidOutHere(layout) ? formatJsonText(text, layout, spans) : text;
+}
+
+// Valid JSON text laid out again, as format_json_value in Rust lays out values, after the
+// layout's replacer if it has one. Strings and numbers keep their text
+function formatJsonText(text, layout, spans = {}) {
+  const indent = typeof layout.indent === 'string' ? layout.indent : ' '.repeat(layout.indent || 0);
+  const [item, key] = layout.separators || [',', indent ? ': ' : ':'];
+  const compare = typeof layout.sortKeys === 'function' ? layout.sortKeys : (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+  const format = { ...layout, indent, item, key, compare };
+  let node = readJsonNode(text, { i: 0 });
+  if (layout.replacer) {
+    node = replaceJsonNode(node, { '': jsonNodeValue(node) }, '', '', format, spans);
+    if (node === undefined) {
+      // What JSON.stringify returns when the replacer drops the root
+      return undefined;
+    }
+  }
+  const written = writeJsonNode(node, format, 0);
+  return layout.trailingNewline ? `${written}\n` : written;
+}
+
+const JSON_WHITESPACE = /[ \t\n\r]*/y;
+const JSON_SCALAR = /[^ \t\n\r,:\]}]*/y;
+
+function skipJsonWhitespace(text, at) {
+  JSON_WHITESPACE.lastIndex = at.i;
+  JSON_WHITESPACE.exec(text);
+  at.i = JSON_WHITESPACE.lastIndex;
+}
+
+// The value at `at.i`: `{ entries }` for an object, `{ items }` for an array or `{ text }`,
+// with the `start` and `end` offsets of its text
+function readJsonNode(text, at) {
+  skipJsonWhitespace(text, at);
+  const start = at.i;
+  const open = text[at.i];
+  if (open !== '{' && open !== '[') {
+    return { text: readJsonScalar(text, at), start, end: at.i };
+  }
+  const node = open === '{' ? { entries: [], start } : { items: [], start };
+  at.i++;
+  skipJsonWhitespace(text, at);
+  while (text[at.i] !== '}' && text[at.i] !== ']') {
+    if (node.entries) {
+      const keyText = readJsonScalar(text, at);
+      skipJsonWhitespace(text, at);
+      at.i++; // The colon
+      node.entries.push({ key: JSON.parse(keyText), keyText, value: readJsonNode(text, at) });
+    } else {
+      node.items.push(readJsonNode(text, at));
+    }
+    skipJsonWhitespace(text, at);
+    if (text[at.i] === ',') {
+      at.i++;
+      skipJsonWhitespace(text, at);
+    }
+  }
+  at.i++;
+  node.end = at.i;
+  return node;
+}
+
+function readJsonScalar(text, at) {
+  const start = at.i;
+  if (text[start] === '"') {
+    let i = start + 1;
+    while (text[i] !== '"') {
+      i += text[i] === '\\' ? 2 : 1;
+    }
+    at.i = i + 1;
+  } else {
+    JSON_SCALAR.lastIndex = start;
+    JSON_SCALAR.exec(text);
+    at.i = JSON_SCALAR.lastIndex;
+  }
+  return text.slice(start, at.i);
+}
 
-  if (typeof jsonString !== 'string') {
-    throw new TypeError(`Expected string, got ${typeof jsonString}`);
+// `key` as one JSON Pointer token
+function pointerToken(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+// Maps a UTF-16 offset into `text` to its 1-based line and column, as Rust's Locator does
+function locator(text) {
+  const lineStarts = [0];
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+    lineStarts.push(i + 1);
   }
+  return (offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const middle = (low + high + 1) >> 1;
+      if (lineStarts[middle] <= offset) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  };
+}
 
-  if (!jsonString.trim()) {
-    if (returnObjects) {
-      return null;
+// The spans of valid JSON text keyed by JSON Pointer, as Rust's sourceMap gives them for
+// repaired input. A repeated key maps to its last value, the one JSON.parse keeps
+function jsonSpans(text) {
+  const spans = {};
+  const locate = locator(text);
+  const visit = (node, path) => {
+    spans[path] = { start: node.start, end: node.end, ...locate(node.start) };
+    if (node.entries) {
+      for (const { key, value } of node.entries) {
+        visit(value, `${path}/${pointerToken(key)}`);
+      }
+    } else if (node.items) {
+      node.items.forEach((item, i) => visit(item, `${path}/${i}`));
+    }
+  };
+  visit(readJsonNode(text, { i: 0 }), '');
+  return spans;
+}
+
+function defineValue(holder, key, value) {
+  // A plain assignment to '__proto__' would set the prototype
+  Object.defineProperty(holder, key, { value, writable: true, enumerable: true, configurable: true });
+}
+
+// JSON.parse's reviver walk over parsed output: children before their holder, and an
+// undefined result deletes the value. Each call also gets `{ path, span }`
+function revive(value, reviver, spans) {
+  const walk = (holder, key, path) => {
+    const current = holder[key];
+    if (current !== null && typeof current === 'object') {
+      const keys = Array.isArray(current) ? current.map((_, i) => String(i)) : Object.keys(current);
+      for (const child of keys) {
+        const revived = walk(current, child, `${path}/${pointerToken(child)}`);
+        if (revived === undefined) {
+          delete current[child];
+        } else {
+          defineValue(current, child, revived);
+        }
+      }
+    }
+    return reviver.call(holder, key, current, { path, span: spans[path] });
+  };
+  return walk({ '': value }, '', '');
+}
+
+// The value of a node read by readJsonNode, remembered on the node as `value`
+function jsonNodeValue(node) {
+  if (node.text !== undefined) {
+    node.value = JSON.parse(node.text);
+  } else if (node.items) {
+    node.value = node.items.map(jsonNodeValue);
+  } else {
+    node.value = {};
+    for (const entry of node.entries) {
+      defineValue(node.value, entry.key, jsonNodeValue(entry.value));
     }
-    return 'null';
+  }
+  return node.value;
+}
+
+// JSON text for a string, escaped as Rust escapes it
+function jsonStringText(text, ensureAscii) {
+  const written = JSON.stringify(text);
+  return ensureAscii ? escapeNonAscii(written) : written;
+}
+
+function escapeNonAscii(text) {
+  return text.replace(/[\u0080-\uffff]/g, (c) => `\\u${c.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+// The node for `holder[key]` once the layout's replacer has seen it, or undefined if the
+// replacer drops it. As with JSON.stringify, holders are seen before their values. Values the
+// replacer returns as they were keep their node, so their text and spans; anything else is
+// serialized by JSON.stringify, with the replacer seeing what is inside it too
+function replaceJsonNode(node, holder, key, path, format, spans) {
+  const value = holder[key];
+  const context = { path, span: node !== undefined && node.value === value ? spans[path] : undefined };
+  const replaced = format.replacer.call(holder, key, value, context);
+  if (node === undefined || node.value !== value || replaced !== value) {
+    return serializeReplaced(replaced, path, format);
+  }
+  if (node.text !== undefined) {
+    return node;
+  }
+  if (node.items) {
+    const items = replaced.map((_, i) => {
+      const item = replaceJsonNode(node.items[i], replaced, String(i), `${path}/${i}`, format, spans);
+      return item === undefined ? { text: 'null' } : item;
+    });
+    return { items };
+  }
+  const byKey = new Map(node.entries.map((entry) => [entry.key, entry]));
+  const entries = [];
+  for (const child of Object.keys(replaced)) {
+    const entry = byKey.get(child);
+    const childPath = `${path}/${pointerToken(child)}`;
+    const childNode = replaceJsonNode(entry && entry.value, replaced, child, childPath, format, spans);
+    if (childNode !== undefined) {
+      const keyText = entry ? entry.keyText : jsonStringText(child, format.ensureAscii);
+      entries.push({ key: child, keyText, value: childNode });
+    }
+  }
+  return { entries };
+}
+
+// A value the replacer made, read back as a node. What is inside it has no spans
+function serializeReplaced(value, path, format) {
+  const paths = new WeakMap();
+  const remember = (inner, innerPath) => {
+    if (inner !== null && typeof inner === 'object') {
+      paths.set(inner, innerPath);
+    }
+    return inner;
+  };
+  let root = true;
+  const text = JSON.stringify(value, function (key, inner) {
+    if (root) {
+      // The replacer has already seen the value itself
+      root = false;
+      return remember(inner, path);
+    }
+    const innerPath = `${paths.get(this)}/${pointerToken(key)}`;
+    return remember(format.replacer.call(this, key, inner, { path: innerPath, span: undefined }), innerPath);
+  });
+  if (text === undefined) {
+    return undefined;
+  }
+  return readJsonNode(format.ensureAscii ? escapeNonAscii(text) : text, { i: 0 });
+}
+
+// Keys JSON5 leaves unquoted, by the rule Rust's write_key uses
+const IDENTIFIER = /^[\p{Alphabetic}$_][\p{Alphabetic}\p{N}$_]*$/u;
+
+function writeJsonNode(node, format, level) {
+  if (node.text !== undefined) {
+    return node.text;
+  }
+  let parts;
+  if (node.items) {
+    if (node.items.length === 0) {
+      return '[]';
+    }
+    parts = node.items.map((item) => writeJsonNode(item, format, level + 1));
+    if (format.indent && format.compactArrays && node.items.every((item) => item.text !== undefined)) {
+      // On one line, with a space after each separator
+      return `[${parts.join(`${format.item.replace(/[ \t\n\r]+$/, '')} `)}]`;
+    }
+  } else {
+    if (node.entries.length === 0) {
+      return '{}';
+    }
+    const entries = format.sortKeys ? [...node.entries].sort((a, b) => format.compare(a.key, b.key)) : node.entries;
+    parts = entries.map(({ key, keyText, value }) => {
+      const unquoted = format.json5 && IDENTIFIER.test(key) && (/^[\x00-\x7f]*$/.test(key) || !format.ensureAscii);
+      return `${unquoted ? key : keyText}${format.key}${writeJsonNode(value, format, level + 1)}`;
+    });
+  }
+  const [open, close] = node.items ? ['[', ']'] : ['{', '}'];
+  if (!format.indent) {
+    return `${open}${parts.join(format.item)}${close}`;
+  }
+  const separator = format.item.replace(/[ \t\n\r]+$/, '');
+  const inner = format.indent.repeat(level + 1);
+  const lines = parts.map((part, i) => `${inner}${part}${i < parts.length - 1 || format.json5 ? separator : ''}`);
+  return `${open}\n${lines.join('\n')}\n${format.indent.repeat(level)}${close}`;
+}
+
+// The resource limits set in options, to pass on to Rust
+function resourceLimits(options) {
+  const limits = {};
+  for (const name of RESOURCE_LIMITS) {
+    checkCount(name, options[name]);
+    if (options[name] !== undefined) {
+      limits[name] = options[name];
+    }
+  }
+  return limits;
+}
+
+function checkInvalidUtf8(invalidUtf8) {
+  if (!INVALID_UTF8_POLICIES.includes(invalidUtf8)) {
+    throw new TypeError(`invalidUtf8 must be one of ${INVALID_UTF8_POLICIES.join(', ')}, got ${invalidUtf8}`);
+  }
+}
+
+// JSON Schemas cross into Rust as JSON text
+function serializeSchema(schema) {
+  if (schema === undefined || schema === null) {
+    return undefined;
+  }
+  if (typeof schema !== 'object' && typeof schema !== 'boolean') {
+    throw new TypeError(`schema must be an object or boolean, got ${typeof schema}`);
+  }
+  return JSON.stringify(schema);
+}
+
+// Parse repaired JSON text. Unless bigNumbers is 'lossy', integers JSON.parse would round come back
+// as BigInt or digit strings; Rust finds them, since the repaired text keeps their exact digits.
+function parseRepaired(text, bigNumbers) {
+  const value = JSON.parse(text);
+  // Only a run of 16 or more digits can be such an integer
+  if (bigNumbers === 'lossy' || !/\d{16}/.test(text)) {
+    return value;
+  }
+
+  let root = value;
+  for (const { path, digits } of bigIntegersRust(text)) {
+    const exact = bigNumbers === 'bigint' ? BigInt(digits) : digits;
+    if (path.length === 0) {
+      root = exact;
+      continue;
+    }
+    let parent = root;
+    for (const key of path.slice(0, -1)) {
+      parent = parent[key];
+    }
+    parent[path[path.length - 1]] = exact;
+  }
+  return root;
+}
+
+// Parse repaired text for returnObjects. Rust always writes valid JSON, so failing here is a bug
+// rather than bad input; it still follows onError.
+function parseOutput(text, bigNumbers, onError) {
+  try {
+    return parseRepaired(text, bigNumbers);
+  } catch (e) {
+    if (onError === 'throw') {
+      throw new RepairError(`Repaired output is not valid JSON: ${e.message}`, { code: 'INVALID_OUTPUT' });
+    }
+    // If still invalid after repair, return null
+    return null;
+  }
+}
+
+// The options every entry point takes, checked and with their defaults, and as `native` the
+// object Rust takes for them. `spanned` says whether Rust reports source spans, which sourceMap,
+// the reviver and the replacer need
+function nativeOptions(options) {
+  const {
+    returnObjects = false,
+    ensureAscii = true,
+    logging = false,
+    comments = false,
+    preserveNumbers = false,
+    schema,
+    bigNumbers = 'lossy',
+    invalidUtf8 = 'replace',
+    sourceMap = false,
+    onError = 'null',
+    maxDepth,
+    onMaxDepth = onError === 'throw' ? 'throw' : 'null',
+    duplicateKeys = 'last',
+    syntax = 'json',
+    nonFiniteNumbers = 'null',
+    outputFormat = 'json',
+    loneSurrogates = 'replace',
+    reviver,
+  } = options;
+
+  checkBigNumbers(bigNumbers);
+  checkInvalidUtf8(invalidUtf8);
+  checkOnError(onError);
+  checkDepth(maxDepth, onMaxDepth);
+  checkDuplicateKeys(duplicateKeys);
+  checkSyntax(syntax, nonFiniteNumbers);
+  checkOutputFormat(outputFormat);
+  checkLoneSurrogates(loneSurrogates);
+  const limits = resourceLimits(options);
+  const layout = outputLayout(options);
+  checkCallback('reviver', reviver);
+  const schemaText = serializeSchema(schema);
+  const spanned = sourceMap || layout.replacer !== undefined || (returnObjects && reviver !== undefined);
+
+  return {
+    returnObjects,
+    ensureAscii,
+    logging,
+    comments,
+    preserveNumbers,
+    schemaText,
+    bigNumbers,
+    sourceMap,
+    onError,
+    maxDepth,
+    onMaxDepth,
+    duplicateKeys,
+    syntax,
+    outputFormat,
+    loneSurrogates,
+    reviver,
+    limits,
+    layout,
+    spanned,
+    native: {
+      ensureAscii,
+      ...nativeLayout(layout),
+      logging,
+      comments,
+      preserveNumbers,
+      schema: schemaText,
+      invalidUtf8,
+      sourceMap: spanned,
+      onError,
+      maxDepth,
+      onMaxDepth,
+      duplicateKeys,
+      syntax,
+      nonFiniteNumbers,
+      loneSurrogates,
+      ...limits,
+    },
+  };
+}
+
+// Rust's output text laid out, and for returnObjects parsed and revived. `spans` are its
+// source map, keyed by JSON Pointer
+function finishOutput(text, spans, { layout, returnObjects, bigNumbers, onError, reviver }) {
+  let output = layOut(text, layout, spans);
+  if (returnObjects) {
+    output = parseOutput(output, bigNumbers, onError);
+    if (reviver) {
+      output = revive(output, reviver, spans);
+    }
+  }
+  return output;
+}
+
+// Source spans arrive as a list; key them by JSON Pointer
+function keyByPath(spans) {
+  const sourceMap = {};
+  for (const { path, start, end, line, column } of spans) {
+    sourceMap[path] = { start, end, line, column };
+  }
+  return sourceMap;
+}
+
+// Attach the reports requested by logging, comments, schema and sourceMap to the output
+function report(output, found, { logging, comments, schemaText, sourceMap }) {
+  if (!logging && !comments && schemaText === undefined && !sourceMap) {
+    return output;
+  }
+  const result = { output };
+  if (logging) {
+    result.repairs = found.repairs || [];
+  }
+  if (comments) {
+    result.comments = found.comments || [];
+  }
+  if (schemaText !== undefined) {
+    result.validation = found.validation;
+  }
+  if (sourceMap) {
+    result.sourceMap = keyByPath(found.sourceMap || []);
+  }
+  return result;
+}
+
+// What an aborted signal rejects with; `reason` is missing before Node 17.2
+function abortReason(signal) {
+  if (signal.reason !== undefined) {
+    return signal.reason;
+  }
+  const error = new Error('This operation was aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Options for repair. Every entry point takes them; where one treats an option differently
+ * from repairJSON, its own docs say how.
+ *
+ * @typedef {Object} RepairOptions
+ * @property {boolean} [returnObjects=false] - If true, return the parsed JavaScript object instead of JSON string
+ * @property {boolean} [ensureAscii=true] - If true, escape non-ASCII characters in output
+ * @property {number|string|null} [indent=null] - Spaces, or the text (spaces and tabs, such as '\t'), for
+ *   one level of indentation (null for compact output)
+ * @property {boolean|Function} [sortKeys=false] - If true, write the keys of every object in code unit order
+ *   (as Array.prototype.sort does); a function `(a, b) => number` compares keys instead. Parsed output gets the
+ *   same order, except that JavaScript always puts integer-like keys first
+ * @property {string[]} [separators] - `[item, key]`, written between items and between a key and its value:
+ *   a comma and a colon with only whitespace around them. Defaults to `[',', ':']`, or `[',', ': ']` with indent.
+ *   Indented lines end with the item separator without its trailing whitespace
+ * @property {boolean} [compactArrays=false] - If true, indented arrays whose items are all strings, numbers or
+ *   literals stay on one line, as `[1, 2, 3]`
+ * @property {boolean} [trailingNewline=false] - If true, end output text with a newline
+ * @property {boolean} [logging=false] - If true, return `{ output, repairs }` where `repairs` lists every fix applied
+ * @property {boolean} [comments=false] - If true, return `{ output, comments }` where `comments` lists the
+ *   line (`//`), block and `#` comments stripped from the input
+ * @property {boolean} [preserveNumbers=false] - If true, write numbers as they appear in the input
+ *   (`1e5`, `-0`, `1.50`) instead of normalizing them; invalid ones like `.5` get the smallest fix
+ * @property {string} [bigNumbers='lossy'] - How parsed output represents integers beyond
+ *   Number.MAX_SAFE_INTEGER: 'bigint' (BigInt), 'string' (exact digits) or 'lossy' (rounded number)
+ * @property {Object|boolean} [schema] - JSON Schema the output should match. Repair then coerces values to
+ *   the declared types, wraps scalars where arrays are expected, fills missing required properties from their
+ *   `default` and renames near-miss keys, and the result carries a `validation` report `{ valid, errors, fixes }`
+ * @property {string} [invalidUtf8='replace'] - What to do with bytes that are not valid in the detected
+ *   encoding: 'replace' (U+FFFD), 'latin1' (read each invalid UTF-8 byte as a Latin-1 character), 'drop' or 'error'
+ * @property {boolean} [sourceMap=false] - If true, return `{ output, sourceMap }` where `sourceMap` maps the
+ *   JSON Pointer of every value in the output (`''` for the root) to `{ start, end, line, column }`, the span of
+ *   input it was read from
+ * @property {string} [onError='null'] - What a repair that fails does: 'null' returns null (or 'null'), 'throw'
+ *   throws a RepairError, with code 'NO_VALUE' for input that holds no JSON value
+ * @property {number} [maxDepth=1000] - How deeply objects and arrays may nest, at most 4000
+ * @property {string} [onMaxDepth='null'] - What replaces a container nested past maxDepth: 'null', 'raw' (its
+ *   input text as a string) or 'throw' (throw a RepairError with code 'MAX_DEPTH'), the default with onError:
+ *   'throw'. The rest of the document is kept
+ * @property {number} [maxInputLength] - Longest input accepted, in UTF-16 code units (of the decoded text for bytes)
+ * @property {number} [maxStringLength] - Longest string or key accepted, in UTF-16 code units
+ * @property {number} [maxItems] - Most keys of one object or items of one array accepted
+ * @property {number} [maxTokens] - Most tokens (brackets, punctuation, strings, numbers, literals) accepted.
+ *   Breaking any limit throws a RepairError whose code names it, such as 'MAX_TOKENS'; there are none by default
+ * @property {string} [duplicateKeys='last'] - Which value a repeated key keeps: 'last', 'first', 'array' (all
+ *   of them, in input order) or 'error' (throw a RepairError with code 'DUPLICATE_KEY'). With logging, each repeat
+ *   is logged as a 'duplicate_key' repair
+ * @property {string} [syntax='json'] - What the input is read as: 'json'; 'js' to also read JavaScript
+ *   object literals: `undefined`, `NaN`, `Infinity`, backtick strings, `'a' + 'b'` and wrappers such as
+ *   `const data = {...};`, `export default {...}` or JSONP's `callback({...});`; or 'python' to read repr()
+ *   output: tuples and sets (as arrays), prefixed and triple-quoted strings, `\x` escapes, `Decimal(...)`
+ *   (as a number) and `datetime(...)`/`date(...)`/`time(...)` (as ISO strings); or 'json5' to read JSON5: hex
+ *   numbers, `+1`, `.5`, `5.`, `NaN`, `Infinity`, backslash-newline line continuations and identifier keys with
+ *   `\uXXXX` escapes
+ * @property {string} [nonFiniteNumbers='null'] - What `NaN` and `Infinity` (`nan` and `inf` in Python)
+ *   become with syntax 'js', 'python' or 'json5': 'null', 'string' ('NaN', 'Infinity', '-Infinity') or 'error'
+ *   (throw a RepairError with code 'NON_FINITE_NUMBER')
+ * @property {string} [outputFormat='json'] - What the output text is written as: 'json', or 'json5' to leave
+ *   keys that are identifiers unquoted and end indented objects and arrays with a trailing comma. Parsed output
+ *   (returnObjects) is not affected
+ * @property {string} [loneSurrogates='replace'] - What a `\uXXXX` escape of half a surrogate pair without
+ *   the other half becomes: 'replace' (U+FFFD), 'escape' (the escape as text, `"\\ud83d"`) or 'drop'. With
+ *   logging, each is logged as a 'lone_surrogate' repair
+ * @property {Function} [reviver] - `(key, value, context) => any`, called on parsed output (returnObjects)
+ *   as JSON.parse calls its reviver: children first, with `this` the holder, and `undefined` deletes the value.
+ *   `context` is `{ path, span }`: the value's JSON Pointer and its `{ start, end, line, column }` in the input
+ * @property {Function} [replacer] - `(key, value, context) => any`, called on output text's values as
+ *   JSON.stringify calls its replacer: holders first, and `undefined` drops the value (null in an array).
+ *   `context` is as for reviver; `span` is undefined inside values the replacer made
+ */
+
+/**
+ * Repair invalid JSON string and return either the repaired JSON string or parsed object.
+ *
+ * Bytes are decoded in Rust: a BOM or the pattern of zero bytes tells UTF-16LE/BE from UTF-8 (the default).
+ * 
+ * @param {string|Uint8Array} jsonString - The potentially invalid JSON string (or its bytes) to repair
+ * @param {RepairOptions} options - Options for repair, and:
+ * @param {boolean} [options.skipJsonLoads=false] - If true, skip initial validation with JSON.parse
+ * @param {boolean} [options.extract=false] - If true, repair the best JSON candidate found in surrounding prose,
+ *   markdown fences or reasoning tags (see extractJSON) instead of the whole input
+ * @returns {string|any} Either the repaired JSON string or parsed JavaScript object (if returnObjects=true),
+ *   wrapped as `{ output, repairs, comments, validation, sourceMap }` (with the requested fields) when logging,
+ *   comments, schema or sourceMap is set
+ */
+function repairJSON(jsonString, options = {}) {
+  const { skipJsonLoads = false, indent = null, extract = false } = options;
+
+  checkInput(jsonString);
+  const settings = nativeOptions(options);
+  const {
+    returnObjects,
+    ensureAscii,
+    logging,
+    comments,
+    preserveNumbers,
+    schemaText,
+    sourceMap,
+    onError,
+    maxDepth,
+    onMaxDepth,
+    duplicateKeys,
+    syntax,
+    outputFormat,
+    loneSurrogates,
+    reviver,
+    limits,
+    layout,
+    spanned,
+  } = settings;
+  const bytes = isBytes(jsonString);
+
+  // Empty input is null, unless a schema has something to say about that or it must throw
+  if (!bytes && !jsonString.trim() && schemaText === undefined && onError !== 'throw') {
+    return report(returnObjects ? null : 'null', {}, settings);
   }
 
   // Fast path: if skipJsonLoads is false, try parsing with JSON.parse first
-  // Skip fast path if ensureAscii is true, as we need Rust to handle ASCII escaping
-  if (!skipJsonLoads && !ensureAscii) {
+  // Skip fast path if ensureAscii is true, as we need Rust to handle ASCII escaping,
+  // if numbers must keep their form, if a schema applies, if positions are wanted, if
+  // limits are set, if repeated keys need more than JSON.parse's last-wins, if repairs
+  // are logged (valid JSON still gets one for each repeated key), if the output is
+  // JSON5 text, or if the input may hold integers JSON.parse would round or escaped
+  // surrogates, which JSON.parse keeps even when lone. Bytes always go to Rust, to be
+  // decoded there
+  const limited = maxDepth !== undefined || onMaxDepth !== 'null' || Object.keys(limits).length > 0;
+  if (!bytes && !skipJsonLoads && !ensureAscii && !preserveNumbers && schemaText === undefined && !sourceMap &&
+      !limited && duplicateKeys === 'last' && !logging && !layout.json5 &&
+      !/\d{16}|\\u[dD][89a-fA-F]/.test(jsonString)) {
     try {
       const parsed = JSON.parse(jsonString);
       
@@ -48,14 +819,25 @@ function repairJSON(jsonString, options = {}) {
       if (hasInvalidNumbers || JSON.stringify(parsed).match(/[Infinity|NaN]/)) {
         // Fall through to Rust repair logic
       } else {
+        // Valid JSON is its own source map
+        const spans = spanned ? jsonSpans(jsonString) : {};
+        let output;
         if (returnObjects) {
-          return parsed;
-        }
-        // Re-serialize with the requested options
-        if (indent !== null) {
-          return JSON.stringify(parsed, null, indent);
+          // Only key order matters once parsed
+          output = layout.sortKeys ? JSON.parse(formatJsonText(JSON.stringify(parsed), layout)) : parsed;
+          if (reviver) {
+            output = revive(output, reviver, spans);
+          }
+        } else if (hasLayout(layout)) {
+          output = formatJsonText(JSON.stringify(parsed), layout, spans);
+        } else if (indent !== null) {
+          // Re-serialize with the requested options
+          output = JSON.stringify(parsed, null, indent);
+        } else {
+          output = JSON.stringify(parsed);
         }
-        return JSON.stringify(parsed);
+        // Valid JSON needs no repairs and has no comments
+        return report(output, {}, settings);
       }
     } catch (e) {
       // Fall through to repair logic
@@ -63,19 +845,24 @@ function repairJSON(jsonString, options = {}) {
   }
 
   // Call Rust repair function
-  const repaired = repairJsonRust(jsonString, ensureAscii, indent || 0);
-
-  if (returnObjects) {
-    // Parse the repaired JSON string
-    try {
-      return JSON.parse(repaired);
-    } catch (e) {
-      // If still invalid after repair, return null
-      return null;
+  let found;
+  try {
+    const [best] = extract ? extractJsonRust(jsonString, settings.native) : [];
+    if (best) {
+      found = best;
+    } else if (bytes || logging || comments || preserveNumbers || schemaText !== undefined || spanned ||
+               onError !== 'null' || limited || duplicateKeys !== 'last' || syntax !== 'json' ||
+               outputFormat !== 'json' || loneSurrogates !== 'replace' || hasLayout(layout)) {
+      found = repairJsonWithOptions(jsonString, settings.native);
+    } else {
+      found = { output: repairJsonRust(jsonString, ensureAscii, indent || 0) };
     }
+  } catch (e) {
+    throw toRepairError(e);
   }
 
-  return repaired;
+  const spans = spanned ? keyByPath(found.sourceMap || []) : {};
+  return report(finishOutput(found.output, spans, settings), found, settings);
 }
 
 /**
@@ -83,13 +870,397 @@ function repairJSON(jsonString, options = {}) {
  * 
  * This is a convenience wrapper around repairJSON with returnObjects=true.
  * 
- * @param {string} jsonString - The potentially invalid JSON string to repair and parse
- * @param {Object} options - Additional options passed to repairJSON
+ * @param {string|Uint8Array} jsonString - The potentially invalid JSON string (or its bytes) to repair and parse
+ * @param {RepairOptions} options - Additional options passed to repairJSON
  * @returns {any} The parsed JavaScript object
  */
 function parseJSON(jsonString, options = {}) {
   return repairJSON(jsonString, { ...options, returnObjects: true });
 }
 
-module.exports = { repairJSON, parseJSON };
+/**
+ * Repair invalid JSON on the libuv threadpool, leaving the main thread free.
+ *
+ * Takes the same options as repairJSON, except that there is no JSON.parse fast path and no `extract`.
+ * A repair stopped by `signal` or `timeoutMs` rejects; there is no partial result.
+ *
+ * @param {string|Uint8Array} jsonString - The potentially invalid JSON string (or its bytes) to repair
+ * @param {RepairOptions} options - Options for repair, and:
+ * @param {AbortSignal} [options.signal] - Cancels the repair; the Promise then rejects with the signal's reason
+ * @param {number} [options.timeoutMs] - Milliseconds the repair may take, counted from the call. Past that the
+ *   Promise rejects with an Error whose message says it timed out
+ * @returns {Promise<string|any>} Resolves to what repairJSON would return
+ */
+async function repairJSONAsync(jsonString, options = {}) {
+  const { signal, timeoutMs } = options;
+
+  checkInput(jsonString);
+  const settings = nativeOptions(options);
+  if (timeoutMs !== undefined && !(Number.isInteger(timeoutMs) && timeoutMs >= 0)) {
+    throw new TypeError(`timeoutMs must be a non-negative integer, got ${timeoutMs}`);
+  }
+  if (signal && signal.aborted) {
+    throw abortReason(signal);
+  }
+
+  // Empty input is null, unless a schema has something to say about that or it must throw
+  if (!isBytes(jsonString) && !jsonString.trim() && settings.schemaText === undefined && settings.onError !== 'throw') {
+    return report(settings.returnObjects ? null : 'null', {}, settings);
+  }
+
+  const token = new CancelToken();
+  const onAbort = () => token.cancel();
+  if (signal) {
+    signal.addEventListener('abort', onAbort);
+  }
+  let found;
+  try {
+    found = await repairJsonAsync(jsonString, { ...settings.native, timeoutMs }, token);
+  } catch (e) {
+    throw signal && signal.aborted ? abortReason(signal) : toRepairError(e);
+  } finally {
+    if (signal) {
+      signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  const spans = settings.spanned ? keyByPath(found.sourceMap || []) : {};
+  return report(finishOutput(found.output, spans, settings), found, settings);
+}
+
+/**
+ * Repair and parse invalid JSON string to JavaScript object, off the main thread.
+ *
+ * This is a convenience wrapper around repairJSONAsync with returnObjects=true.
+ *
+ * @param {string|Uint8Array} jsonString - The potentially invalid JSON string (or its bytes) to repair and parse
+ * @param {RepairOptions} options - Additional options passed to repairJSONAsync
+ * @returns {Promise<any>} Resolves to the parsed JavaScript object
+ */
+function parseJSONAsync(jsonString, options = {}) {
+  return repairJSONAsync(jsonString, { ...options, returnObjects: true });
+}
+
+/**
+ * Repair many inputs at once. The batch crosses into Rust in a single call and large batches are
+ * repaired in parallel on native threads.
+ *
+ * Each input is repaired as repairJSON would with `skipJsonLoads` set. A failure is reported in that
+ * input's entry instead of being thrown, so one bad input does not fail the batch.
+ *
+ * @param {Array<string|Uint8Array>} jsonStrings - The potentially invalid JSON strings (or their bytes) to repair
+ * @param {RepairOptions} options - Options applied to every input. The `repairs`, `comments`, `validation` and
+ *   `sourceMap` that repairJSON returns alongside its output are fields of each entry instead
+ * @param {string} [options.onError='null'] - 'null' gives a failed repair `null` output, 'throw' makes it an
+ *   error entry with a RepairError
+ * @param {number} [options.maxInputLength] - An input that breaks this or another resource limit gets an
+ *   error entry with a RepairError
+ * @returns {Object[]} One entry per input in input order: `{ status: 'ok', output }` plus the requested
+ *   `repairs`, `comments`, `validation` and `sourceMap`, or `{ status: 'error', error }` with the Error for that input
+ */
+function repairMany(jsonStrings, options = {}) {
+  if (!Array.isArray(jsonStrings)) {
+    throw new TypeError(`Expected array, got ${typeof jsonStrings}`);
+  }
+  const settings = nativeOptions(options);
+  const { logging, comments, schemaText, sourceMap, spanned } = settings;
+
+  // Only strings and bytes go to Rust; anything else fails on its own
+  const results = new Array(jsonStrings.length);
+  const strings = [];
+  const indices = [];
+  jsonStrings.forEach((jsonString, i) => {
+    if (typeof jsonString === 'string' || isBytes(jsonString)) {
+      strings.push(jsonString);
+      indices.push(i);
+    } else {
+      results[i] = { status: 'error', error: new TypeError(`Expected string or Uint8Array, got ${typeof jsonString}`) };
+    }
+  });
+
+  const items = strings.length > 0 ? repairManyRust(strings, settings.native) : [];
+  items.forEach((item, k) => {
+    if (!item.ok) {
+      const error = item.failure ? new RepairError(item.failure.message, item.failure) : new Error(item.error);
+      results[indices[k]] = { status: 'error', error };
+      return;
+    }
+    const spans = spanned ? keyByPath(item.sourceMap) : {};
+    const result = { status: 'ok' };
+    try {
+      result.output = finishOutput(item.output, spans, settings);
+    } catch (e) {
+      results[indices[k]] = { status: 'error', error: e };
+      return;
+    }
+    if (logging) {
+      result.repairs = item.repairs;
+    }
+    if (comments) {
+      result.comments = item.comments;
+    }
+    if (schemaText !== undefined) {
+      result.validation = item.validation;
+    }
+    if (sourceMap) {
+      result.sourceMap = spans;
+    }
+    results[indices[k]] = result;
+  });
+  return results;
+}
+
+/**
+ * Repair input that holds several top-level JSON documents, such as `{"a":1}{"b":2}`,
+ * newline-delimited JSON or values separated by commas.
+ *
+ * Values are read one after another until the end of the input. Whitespace and commas between
+ * documents are separators; stray `]`, `}` and `:` between them are dropped (and logged).
+ *
+ * @param {string|Uint8Array} jsonString - The potentially invalid JSON documents (or their bytes) to repair
+ * @param {RepairOptions} options - Options for repair. The `repairs`, `comments`, `validation` and `sourceMap`
+ *   that repairJSON returns alongside its output are fields of each document instead; sourceMap offsets are
+ *   into the whole input
+ * @param {string} [options.onError='null'] - 'null' makes a document that fails `null` and ends the list there,
+ *   'throw' throws a RepairError instead
+ * @param {number} [options.maxInputLength] - As for repairJSON; this and `maxTokens` count the whole input, not
+ *   each document
+ * @returns {Object[]} One entry per document in input order, with `output`, `start`/`end` (UTF-16 offsets
+ *   of the document in `jsonString`, or in the decoded text for bytes) and `line`/`column` of its start
+ */
+function repairAll(jsonString, options = {}) {
+  checkInput(jsonString);
+  const settings = nativeOptions(options);
+  const { logging, comments, schemaText, sourceMap, spanned } = settings;
+
+  let documents;
+  try {
+    documents = repairAllRust(jsonString, settings.native);
+  } catch (e) {
+    throw toRepairError(e);
+  }
+  for (const document of documents) {
+    const spans = spanned ? keyByPath(document.sourceMap) : {};
+    document.output = finishOutput(document.output, spans, settings);
+    if (!logging) {
+      delete document.repairs;
+    }
+    if (!comments) {
+      delete document.comments;
+    }
+    if (schemaText === undefined) {
+      delete document.validation;
+    }
+    if (sourceMap) {
+      document.sourceMap = spans;
+    } else {
+      delete document.sourceMap;
+    }
+  }
+  return documents;
+}
+
+/**
+ * Repair and parse every top-level JSON document in the input.
+ *
+ * This is a convenience wrapper around repairAll with returnObjects=true.
+ *
+ * @param {string|Uint8Array} jsonString - The potentially invalid JSON documents (or their bytes) to repair and parse
+ * @param {RepairOptions} options - Additional options passed to repairAll
+ * @returns {Object[]} One entry per document, with the parsed value as `output`
+ */
+function parseAll(jsonString, options = {}) {
+  return repairAll(jsonString, { ...options, returnObjects: true });
+}
+
+/**
+ * Find JSON embedded in other text, such as an LLM reply that wraps it in prose, markdown code fences
+ * or `<think>...</think>` blocks.
+ *
+ * Candidates are fenced blocks and balanced `{...}`/`[...]` regions outside reasoning blocks. Each is
+ * repaired and scored: fences tagged `json`/`jsonc`/`json5` rank first, then objects and arrays,
+ * then regions that needed few repairs for their size. With a schema, candidates that match it
+ * (after schema-guided fixes) rank above all others.
+ *
+ * @param {string|Uint8Array} text - Text (or its bytes) that contains JSON somewhere
+ * @param {RepairOptions} options - Options for repair, applied to every candidate. The `repairs`, `comments`,
+ *   `validation` and `sourceMap` that repairJSON returns alongside its output are fields of each candidate instead
+ * @param {boolean} [options.all=false] - If true, return every candidate (best first) instead of only the best
+ * @param {string} [options.onError='null'] - 'null' returns null (or no candidates) if there is no JSON and makes
+ *   output that cannot be parsed `null`; 'throw' throws a RepairError for either
+ * @returns {Object|Object[]|null} The best candidate (null if none), or all candidates if `all` is set. Each has
+ *   `output`, `start`/`end` (UTF-16 offsets of the region in `text`, or in the decoded text for bytes), `line`/`column` of its start,
+ *   `source` ('fence' or 'text'), `language` (the fence's tag, if any), `score`, and `repairs`, `comments` and `validation`
+ *   as asked for
+ */
+function extractJSON(text, options = {}) {
+  const { all = false } = options;
+
+  checkInput(text);
+  const settings = nativeOptions(options);
+  const { logging, comments, schemaText, sourceMap, onError, spanned } = settings;
+
+  let candidates;
+  try {
+    candidates = extractJsonRust(text, settings.native);
+  } catch (e) {
+    throw toRepairError(e);
+  }
+  if (candidates.length === 0 && onError === 'throw') {
+    throw new RepairError('No JSON found in the text', { code: 'NO_JSON' });
+  }
+  for (const candidate of candidates) {
+    const spans = spanned ? keyByPath(candidate.sourceMap) : {};
+    candidate.output = finishOutput(candidate.output, spans, settings);
+    if (!logging) {
+      delete candidate.repairs;
+    }
+    if (!comments) {
+      delete candidate.comments;
+    }
+    if (schemaText === undefined) {
+      delete candidate.validation;
+    }
+    if (sourceMap) {
+      candidate.sourceMap = spans;
+    } else {
+      delete candidate.sourceMap;
+    }
+  }
+
+  if (all) {
+    return candidates;
+  }
+  return candidates.length > 0 ? candidates[0] : null;
+}
+
+/**
+ * Report what is wrong with the input without repairing it, as ESLint-style lint messages.
+ *
+ * The input is read by the same parser as repairJSON, so there is one diagnostic for every fix
+ * repairJSON would log with the same options, and valid JSON has none.
+ *
+ * @param {string|Uint8Array} input - The potentially invalid JSON string (or its bytes) to check
+ * @param {RepairOptions} options - Options that change what is read as a problem; those that only shape
+ *   output are ignored
+ * @returns {Object[]} Diagnostics in input order, each `{ ruleId, severity, message, line, column, endLine,
+ *   endColumn, fatal }`. `ruleId` is the repair log kind of the fix; `severity` is 2 for input that is not JSON
+ *   and 1 for valid JSON that repair still changes (duplicate keys, lone surrogates, nesting past maxDepth).
+ *   Where the options make repair fail, such as with a resource limit or duplicateKeys: 'error', the last
+ *   diagnostic is `fatal`, with the error code in lower case as its `ruleId`
+ */
+function diagnose(input, options = {}) {
+  checkInput(input);
+  const { native } = nativeOptions(options);
+
+  try {
+    return diagnoseRust(input, native);
+  } catch (e) {
+    throw toRepairError(e);
+  }
+}
+
+/**
+ * Create an incremental repairer for JSON that arrives in chunks, such as an LLM token stream.
+ *
+ * Each call to `write()` tokenizes only the new input and returns the best-effort value so far.
+ * Objects and arrays are updated in place, so the same root is returned on every call once it
+ * is known. Output is stream stable: a value only appears once its type is known (an object key
+ * shows up together with its value, and numbers and literals once they are complete), and after
+ * that it only grows. Strings are emitted as soon as they open and extended as text arrives.
+ * A repeated key keeps its first value, so that a value once emitted never changes; this is
+ * `duplicateKeys: 'first'` in `repairJSON`.
+ *
+ * @returns {{ write: (chunk: string) => any, end: () => any }} `write` returns the current value
+ *   (`undefined` until the root's type is known); `end` closes anything left open and returns the final value
+ */
+function createRepairStream() {
+  const stream = new RepairStream();
+  const stack = [];
+  let root;
+  // Whether text events extend the last string, which is not so for a repeated key's
+  let appending = false;
+
+  // Adds `value` to the open container, or returns false if it is a repeated key's value. That
+  // value is dropped, and a container is still built but never shows up in the output
+  function attach(key, value) {
+    const parent = stack[stack.length - 1];
+    if (!parent) {
+      root = value;
+    } else if (Array.isArray(parent)) {
+      parent.push(value);
+    } else if (Object.prototype.hasOwnProperty.call(parent, key)) {
+      return false;
+    } else {
+      // defineProperty so keys like "__proto__" stay plain properties, as with JSON.parse
+      Object.defineProperty(parent, key, { value, writable: true, enumerable: true, configurable: true });
+    }
+    return true;
+  }
+
+  function appendText(key, text) {
+    const parent = stack[stack.length - 1];
+    if (!appending) {
+      return;
+    } else if (!parent) {
+      root += text;
+    } else if (Array.isArray(parent)) {
+      parent[parent.length - 1] += text;
+    } else {
+      parent[key] += text;
+    }
+  }
+
+  function apply(events) {
+    for (const { kind, key, value } of events) {
+      switch (kind) {
+        case 'object':
+        case 'array': {
+          const container = kind === 'object' ? {} : [];
+          attach(key, container);
+          stack.push(container);
+          break;
+        }
+        case 'end':
+          stack.pop();
+          break;
+        case 'string':
+          appending = attach(key, value);
+          break;
+        case 'text':
+          appendText(key, value);
+          break;
+        default:
+          attach(key, JSON.parse(value));
+      }
+    }
+    return root;
+  }
+
+  return {
+    write(chunk) {
+      if (typeof chunk !== 'string') {
+        throw new TypeError(`Expected string, got ${typeof chunk}`);
+      }
+      return apply(stream.write(chunk));
+    },
+    end() {
+      return apply(stream.end());
+    },
+  };
+}
+
+module.exports = {
+  RepairError,
+  repairJSON,
+  parseJSON,
+  repairJSONAsync,
+  parseJSONAsync,
+  repairMany,
+  repairAll,
+  parseAll,
+  extractJSON,
+  diagnose,
+  createRepairStream,
+};
 